@@ -93,6 +93,11 @@
 		return isType(obj, 'Function');
 	};
 
+	// Unlike isFunction(), also true for async and generator functions - use this for callbacks.
+	const isCallable = function(obj) {
+		return typeof obj === 'function';
+	};
+
 	const isObject = function(obj) {
 		return isType(obj, 'Object');
 	};
@@ -188,6 +193,81 @@
 		return document.createTextNode(data);
 	};
 
+	// Turns a node, list of nodes, or null/undefined into an array of nodes.
+	const toNodeArray = function(result) {
+		if (isUndefined(result) || isNull(result)) {
+			return [];
+		}
+		else if (result instanceof Node || isUndefined(result.length)) {
+			return [result];
+		}
+		else {
+			return [ ...result];
+		}
+	};
+
+	// Removes duplicate nodes (and other objects) from an array, keeping the first occurrence.
+	// Primitive values, like strings and numbers, are all kept.
+	const uniqueNodes = function(nodes) {
+		const seen = new Set();
+		return nodes.filter((n) => {
+			if (n === null || (typeof n !== 'object' && typeof n !== 'function'))
+				return true;
+			if (seen.has(n))
+				return false;
+			seen.add(n);
+			return true;
+		});
+	};
+
+	// Sorts an array of nodes in place into document order.
+	const sortByDocumentOrder = function(nodes) {
+		return nodes.sort(compareDocumentOrder);
+	};
+
+	// Gets a node followed by the shadow hosts that contain it, innermost first.
+	const getHostChain = function(node) {
+		const out = [node];
+		let root = node.getRootNode ? node.getRootNode() : null;
+		while (root && root.host) {
+			out.push(root.host);
+			root = root.host.getRootNode();
+		}
+		return out;
+	};
+
+	// Compares two nodes by document order. Nodes in a shadow tree come right after their host.
+	const compareDocumentOrder = function(a, b) {
+		if (a === b)
+			return 0;
+		const position = a.compareDocumentPosition(b);
+		if (position & Node.DOCUMENT_POSITION_DISCONNECTED) {
+			const chainA = getHostChain(a);
+			const chainB = getHostChain(b);
+			for (let i = 0; i < chainA.length; i++) {
+				for (let j = 0; j < chainB.length; j++) {
+					if (chainA[i].getRootNode() !== chainB[j].getRootNode())
+						continue;
+					if (chainA[i] === chainB[j])
+						return i - j;
+					return (chainA[i].compareDocumentPosition(chainB[j]) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1;
+				}
+			}
+		}
+		return (position & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1;
+	};
+
+	// Matches() polyfill.
+	const elemMatches = (
+		Element.prototype.matches ||
+		Element.prototype.matchesSelector || 
+		Element.prototype.msMatchesSelector
+	);
+	
+	const matches = function(elem, selector) {
+		return elem.nodeType === 1 && elemMatches.call(elem, selector);
+	};
+
 	/********************************************************************/
 	/** Other Getters                                                  **/
 	/********************************************************************/
@@ -238,8 +318,12 @@
 			if (isUndefined(elements) || isNull(elements)) {
 				this.length = 0;
 			}
-			// Wrap in one thing if not an array or list.
-			else if (!!forceOne || isUndefined(elements.length)) {
+			// A lone number is a length, like Array (SelectionGroup.from() and the like create groups this way).
+			else if (!forceOne && isNumber(elements)) {
+				this.length = elements;
+			}
+			// Wrap in one thing if not an array or list (some elements, like forms and selects, have a length).
+			else if (!!forceOne || isUndefined(elements.length) || elements instanceof Node || elements === CTX) {
 				this[0] = elements;
 				this.length = 1;
 			}
@@ -255,508 +339,4838 @@
 				}
 			}
 		}
-	}
 
+		// Built-in Array functions create plain arrays, which the functions below turn into SelectionGroups.
+		static get [Symbol.species]() {
+			return Array;
+		}
 
-	/********************************************************************/
-	/** Commands                                                       **/
-	/********************************************************************/
+		/**
+		 * Same as Array.map(), but returns a SelectionGroup without duplicate nodes.
+		 * @returns {SelectionGroup} the new SelectionGroup.
+		 */
+		map() {
+			return new SelectionGroup(uniqueNodes(super.map(...arguments)));
+		}
 
-	/**
-	 * Calls a function on each element in the SelectionGroup.
-	 * Each element is passed to the function as "this" and the first 
-	 * parameter (for fat-arrow lambdas that preserve "this").
-	 * @param {function} func the function to call for each element.
-	 */
-	const $each = function(func) {
-		func.apply(this, [this]);
-	};
+		/**
+		 * Same as Array.flatMap(), but returns a SelectionGroup without duplicate nodes.
+		 * @returns {SelectionGroup} the new SelectionGroup.
+		 */
+		flatMap() {
+			return new SelectionGroup(uniqueNodes(super.flatMap(...arguments)));
+		}
 
-	/**
-	 * Performs a document query on the first DOM element in the SelectionGroup, 
-	 * and returns a new SelectionGroup of the result.
-	 * @param {string} query the CSS/document query.
-	 * @param {boolean} one (optional) if true, return the first match.
-	 * @returns {SelectionGroup} the new SelectionGroup of matching elements.
-	 */
-	const $search = function(query, one) {
-		return !!one 
-			? new SelectionGroup(this.querySelector(query)) 
-			: new SelectionGroup(this.querySelectorAll(query))
-		;
-	};
+		/**
+		 * Same as Array.flat(), but returns a SelectionGroup without duplicate nodes.
+		 * @returns {SelectionGroup} the new SelectionGroup.
+		 */
+		flat() {
+			return new SelectionGroup(uniqueNodes(super.flat(...arguments)));
+		}
 
-	/**
-	 * Gets a child of the first DOM element in the SelectionGroup.
-	 * @param {number} index the index of the child element to fetch.
-	 * @returns {SelectionGroup} the new SelectionGroup with the single child.
-	 */
-	const $child = function(index) {
-		return new SelectionGroup(this.children[index]);
-	};
+		/**
+		 * Same as Array.concat(), but returns a SelectionGroup without duplicate nodes.
+		 * @returns {SelectionGroup} the new SelectionGroup.
+		 */
+		concat() {
+			return new SelectionGroup(uniqueNodes(super.concat(...arguments)));
+		}
 
-	/**
-	 * Gets all immediate children of the first DOM element in the SelectionGroup.
-	 * @returns {SelectionGroup} the new SelectionGroup with the children.
-	 */
-	const $children = function() {
-		return new SelectionGroup(this.children);
-	};
+		/**
+		 * Same as Array.filter(), but returns a SelectionGroup, and the test can also be a selector, 
+		 * an element, or a group of elements to keep.
+		 * @returns {SelectionGroup} the new SelectionGroup.
+		 */
+		filter(test, thisArg) {
+			return $filter.call(this, test, thisArg);
+		}
 
-	/**
-	 * Gets the immediate parent of the first DOM element in the SelectionGroup.
-	 * @returns {SelectionGroup} the new SelectionGroup with the parent element.
-	 */
-	const $parent = function() {
-		return new SelectionGroup(this.parentElement);
-	};
+		/**
+		 * Same as Array.slice(), but returns a SelectionGroup.
+		 * @returns {SelectionGroup} the new SelectionGroup.
+		 */
+		slice() {
+			return new SelectionGroup(super.slice(...arguments));
+		}
 
-	/**
-	 * Gets the parents of the first DOM element in the SelectionGroup.
-	 * @returns {SelectionGroup} the new SelectionGroup with the parent elements.
-	 */
-	const $ancestors = function() {
-		let elem = this;
-		const out = [];
-		while (elem.parentElement !== null) {
-			out.push(elem.parentElement);
-			elem = elem.parentElement;
+		/**
+		 * Same as Array.splice(), but returns the removed items as a SelectionGroup.
+		 * @returns {SelectionGroup} the new SelectionGroup of removed items.
+		 */
+		splice() {
+			return new SelectionGroup(super.splice(...arguments));
 		}
-		return new SelectionGroup(out);
-	};
+	}
 
-	/**
-	 * Gets all of the children and the children's children of the first DOM element in the SelectionGroup.
-	 * @returns {SelectionGroup} the new SelectionGroup with the descending elements.
-	 */
-	const $descendants = function() {
-		const out = [];
-		const childQueue = [ ...this.children];
-		while (childQueue.length > 0) {
-			const child = childQueue.pop();
-			out.push(child);
-			for (let i = 0; i < child.children.length; i++) {
-				childQueue.push(child.children[i]);
+
+	// Converts a bus topic pattern into a RegExp.
+	// "*" matches one dot-separated segment, "**" matches any number of segments.
+	const topicPatternToRegex = function(pattern) {
+		const parts = pattern.split('.');
+		let out = '';
+		let sep = '';
+		for (let i = 0; i < parts.length; i++) {
+			const part = parts[i];
+			if (part === '**') {
+				if (parts.length === 1) {
+					out += '.*';
+				}
+				else if (i === 0) {
+					out += '(?:.+\\.)?';
+					sep = '';
+					continue;
+				}
+				else {
+					out += '(?:\\..+)?';
+				}
+			}
+			else if (part === '*') {
+				out += sep + '[^.]+';
+			}
+			else {
+				out += sep + part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 			}
+			sep = '\\.';
 		}
-		return new SelectionGroup(out);
+		return new RegExp('^' + out + '$');
 	};
 
 	/**
-	 * Gets all of the siblings of first DOM element in the SelectionGroup (parent's children nminus the source element).
-	 * @returns {SelectionGroup} the new SelectionGroup with the sibling elements.
+	 * EventBus class - a simple publish/subscribe channel.
 	 */
-	const $siblings = function() {
-		const out = [];
-		const children = [ ...this.parentElement.children];
-		for (let i = 0; i < children.length; i++) {
-			const child = children[i];
-			if (child !== this)
-				out.push(child);
-		}
-		return new SelectionGroup(out);
-	};
+	class EventBus {
 
-
-	/********************************************************************/
-
-	/**
-	 * Removes all of the children in each DOM element in the SelectionGroup.
-	 */
-	const $clear = function() {
-		while (this.firstChild) {
-			this.removeChild(this.firstChild);
+		constructor() {
+			this.subscriptions = [];
 		}
-	};
 
-	/**
-	 * Appends one or more child elements to all of the children in each DOM element in the SelectionGroup.
-	 * If elements is an array, each child in the array is appended.
-	 * If elements is a Document, that Document's children are appended.
-	 * Otherwise, elements is considered to be one element, and it is appended.
-	 * @param {*} elements one or more children to add.
-	 */
-	const $append = function(elements) {
-		if (elements instanceof SelectionGroup || isArray(elements)) {
-			for (let i = 0; i < elements.length; i++) {
-				this.appendChild(elements[i]);
+		/**
+		 * Subscribes a function to a topic.
+		 * Topics are dot-separated names (for example, "cart.item.added").
+		 * The topic can contain wildcards: "*" matches one segment, "**" matches any amount of segments.
+		 * @param {string} topic the topic or topic pattern.
+		 * @param {Function} func the function to call on publish. 
+		 * 		First parameter is the published data, second is the published topic name.
+		 * @returns {Function} a function that, when called, unsubscribes this subscription.
+		 */
+		subscribe(topic, func) {
+			if (!isCallable(func)) {
+				throw new Error("Subscriber must be a function!");
 			}
+			const subscription = {
+				topic: topic,
+				regex: topicPatternToRegex(topic),
+				func: func
+			};
+			this.subscriptions.push(subscription);
+			return () => {
+				const idx = this.subscriptions.indexOf(subscription);
+				if (idx >= 0) {
+					this.subscriptions.splice(idx, 1);
+				}
+			};
 		}
-		else if (elements instanceof NodeList) {
-			for (let i = 0; i < elements.length; i++) {
-				this.appendChild(elements[i]);
-			}
+
+		/**
+		 * Subscribes a function to a topic for only the next publish on it.
+		 * @param {string} topic the topic or topic pattern.
+		 * @param {Function} func the function to call on publish.
+		 * @returns {Function} a function that, when called, unsubscribes this subscription.
+		 */
+		once(topic, func) {
+			const wrapper = function() {
+				unsubscribe();
+				return func.apply(this, arguments);
+			};
+			// So that unsubscribe(topic, func) finds it.
+			wrapper.original = func;
+			const unsubscribe = this.subscribe(topic, wrapper);
+			return unsubscribe;
 		}
-		else if (elements instanceof Document || elements instanceof DocumentFragment) {
-			for (let i = 0; i < elements.children.length; i++) {
-				this.appendChild(elements.children[i]);
-			}
+
+		/**
+		 * Unsubscribes functions from a topic.
+		 * @param {string} topic the topic or topic pattern used to subscribe.
+		 * @param {Function} func (optional) the function to unsubscribe. If not provided, all of the topic's subscribers are removed.
+		 * @returns {EventBus} this EventBus.
+		 */
+		unsubscribe(topic, func) {
+			this.subscriptions = this.subscriptions.filter((s) => 
+				!(s.topic === topic && (isUndefined(func) || s.func === func || s.func.original === func))
+			);
+			return this;
 		}
-		else {
-			this.appendChild(elements);
+
+		/**
+		 * Publishes data to a topic. 
+		 * Every subscriber whose topic pattern matches is called in subscription order.
+		 * A subscriber that throws an error (or returns a Promise that rejects) does not stop the other subscribers - the error is logged.
+		 * @param {string} topic the topic name.
+		 * @param {*} data (optional) the data to publish.
+		 * @returns {number} the amount of subscribers called.
+		 */
+		publish(topic, data) {
+			let count = 0;
+			each([ ...this.subscriptions], (subscription) => {
+				if (subscription.regex.test(topic)) {
+					count++;
+					const REPORT = (err) => {
+						console.error('DOMJunk: Error in subscriber for topic "' + topic + '":', err);
+					};
+					try {
+						const result = subscription.func(data, topic);
+						// Async subscribers report their errors the same way.
+						if (result && isCallable(result.then)) {
+							result.then(null, REPORT);
+						}
+					} catch (err) {
+						REPORT(err);
+					}
+				}
+			});
+			return count;
 		}
+
+	}
+
+
+	/********************************************************************/
+	/** Templates                                                      **/
+	/********************************************************************/
+
+	const TEMPLATE_ENTITIES = {
+		'&amp;': '&',
+		'&lt;': '<',
+		'&gt;': '>',
+		'&quot;': '"',
+		'&#39;': "'",
+		'&nbsp;': ' '
 	};
 
-	/**
-	 * Removes all of the children in each DOM element in the SelectionGroup, and
-	 * fills them with a new list of children.
-	 * Equivalent to: .clear().append(elements)
-	 * @param {*} elements one or more children to add.
-	 */
-	const $refill = function(elements) {
-		(new SelectionGroup(this)).clear().append(elements);
+	// Template content is serialized HTML, so tag bodies may contain escaped characters (e.g. "{{&gt; partial}}").
+	const TEMPLATE_UNESCAPE = (input) => input.replace(/&(?:amp|lt|gt|quot|#39|nbsp);/g, (m) => TEMPLATE_ENTITIES[m]);
+
+	// Marks the boundaries between items rendered in one batch.
+	const TEMPLATE_SEPARATOR_DATA = 'domjunk-item';
+	const TEMPLATE_SEPARATOR = '<!--' + TEMPLATE_SEPARATOR_DATA + '-->';
+
+	// Named partials (name -> compiled template node renderer).
+	const TEMPLATE_PARTIALS = Object.create(null);
+
+	// Named filters (name -> function(value, args...)).
+	const TEMPLATE_FILTERS = Object.create(null);
+
+	// Returns true if a value should render a block ("falsy" or empty arrays do not).
+	const isTemplateTruthy = function(value) {
+		return isArray(value) ? value.length > 0 : !!value;
 	};
 
-	/**
-	 * Removes all of the children in each DOM element in the SelectionGroup, and
-	 * fills them with a new list of children.
-	 * Equivalent to: .clear().append(DOMJunk.createTemplateElements(template, model))
-	 * @param {Template | SelectionGroup} template the template element to use (can be a SelectionGroup - the first element is used if so).
-	 * @param {Object} model the model for the template.
-	 */
-	const $refillTemplate = function(template, model) {
-		if (template instanceof SelectionGroup)
+	// Fetches the template text from a template element, a SelectionGroup containing one, or a string.
+	const getTemplateContent = function(template) {
+		if (template instanceof SelectionGroup) {
 			template = template[0];
-		(new SelectionGroup(this)).clear().append(DOMJunk.createTemplateElements(
-			template, model
-		));
+		}
+		if (isString(template)) {
+			return template.trim();
+		}
+		return document.importNode(template, true).innerHTML.trim();
 	};
 
-	/**
-	 * Removes all of the children in each DOM element in the SelectionGroup, and
-	 * then, using the provided array of data, fills them with children generated
-	 * from the provided array.
-	 * If a non-truthy value is returned for an array element, it is not added.
-	 * @param {Array} arr the array of objects. Can be an object - they are both iterated on.
-	 * @param {Function} generatorFunc the element generator function. 
-	 * 		First parameter is the array element to use, second is the array/map key.
-	 */
-	const $refillList = function(arr, generatorFunc) {
-		const elements = [];
-		each(arr, (v, k) => {
-			const gen = generatorFunc(v, k);
-			if (gen) {
-				elements.push(gen);
+	// Splits template expression text on a separator character, ignoring separators inside quotes.
+	const splitTemplateExpression = function(text, separator) {
+		const out = [];
+		let current = '';
+		let quote = null;
+		for (let i = 0; i < text.length; i++) {
+			const c = text.charAt(i);
+			if (quote) {
+				if (c === quote)
+					quote = null;
+				current += c;
 			}
-		});
-		(new SelectionGroup(this)).clear().append(elements);
+			else if (c === '"' || c === "'") {
+				quote = c;
+				current += c;
+			}
+			else if (c === separator) {
+				out.push(current.trim());
+				current = '';
+			}
+			else {
+				current += c;
+			}
+		}
+		out.push(current.trim());
+		return out;
 	};
 
-	/**
-	 * Gets/Sets the inner HTML.
-	 * If HTML is provided, the inner HTML is set.
-	 * If it is undefined, this will return the inner HTML of the first DOM element in the SelectionGroup.
-	 * @param {string} data HTML data to set.
-	 */
-	const $html = function(data) {
-		if (isUndefined(data)) {
-			return this.innerHTML;
+	// Parses a filter argument: a quoted string, number, boolean, null, or a path to resolve.
+	const parseTemplateArgument = function(text) {
+		const first = text.charAt(0);
+		if ((first === '"' || first === "'") && text.length > 1 && text.charAt(text.length - 1) === first) {
+			return { value: text.substring(1, text.length - 1) };
+		}
+		else if (text === 'true' || text === 'false') {
+			return { value: text === 'true' };
+		}
+		else if (text === 'null') {
+			return { value: null };
+		}
+		else if (text.length > 0 && !isNaN(text)) {
+			return { value: parseFloat(text) };
 		}
 		else {
-			this.innerHTML = data;
+			return { path: text };
 		}
 	};
 
-	/**
-	 * Gets/Sets the inner text.
-	 * If text is provided, the inner HTML is set to the text. Special characters will be converted to entities.
-	 * If it is undefined, this will return the inner text of the first DOM element in the SelectionGroup.
-	 * @param {string} data HTML data to set.
-	 */
-	const $text = function(text) {
-		if (isUndefined(text)) {
-			return this.innerText;
-		}
-		else {
-			this.innerHTML = HTML_ESCAPE(text);
+	// Parses a template expression ("path | filter:arg:arg | filter") into a path plus filter chain.
+	const parseTemplateExpression = function(text) {
+		const parts = splitTemplateExpression(text, '|');
+		const filters = [];
+		for (let i = 1; i < parts.length; i++) {
+			const filterParts = splitTemplateExpression(parts[i], ':');
+			filters.push({
+				name: filterParts[0],
+				args: filterParts.slice(1).map(parseTemplateArgument)
+			});
 		}
+		return { path: parts[0], filters: filters };
 	};
 
-	/********************************************************************/
+	// Parses template text into a tree of template nodes.
+	const parseTemplate = function(content) {
+		const TAG_REGEX = /{{{([\s\S]+?)}}}|{{([\s\S]+?)}}/g;
+		const root = { name: null, children: [], inverse: [], inElse: false };
+		const stack = [root];
 
-	/**
-	 * Sets a member on each element of the SelectionGroup to a value.
-	 * @param {string} memberName the member name.
-	 * @param {*} value the value.
-	 */
-	const $set = function(memberName, value) {
-		this[memberName] = value;
+		const target = () => {
+			const top = stack[stack.length - 1];
+			return top.inElse ? top.inverse : top.children;
+		};
+
+		let lastIndex = 0;
+		let match;
+		while ((match = TAG_REGEX.exec(content)) !== null) {
+			if (match.index > lastIndex) {
+				target().push({type: 'text', value: content.substring(lastIndex, match.index)});
+			}
+			lastIndex = TAG_REGEX.lastIndex;
+
+			// Triple-stash: unescaped value.
+			if (!isUndefined(match[1])) {
+				target().push({type: 'value', expression: parseTemplateExpression(TEMPLATE_UNESCAPE(match[1]).trim()), escape: false});
+				continue;
+			}
+
+			const tag = TEMPLATE_UNESCAPE(match[2]).trim();
+			const sigil = tag.charAt(0);
+			const body = tag.substring(1).trim();
+
+			if (sigil === '!') {
+				// Comment.
+			}
+			else if (sigil === '#' || sigil === '^') {
+				const spaceIndex = body.search(/\s/);
+				const keyword = spaceIndex >= 0 ? body.substring(0, spaceIndex) : body;
+				const node = { children: [], inverse: [], inElse: false };
+				if (sigil === '#' && (keyword === 'if' || keyword === 'unless' || keyword === 'each')) {
+					node.type = keyword;
+					node.name = keyword;
+					node.expression = parseTemplateExpression(body.substring(keyword.length).trim());
+				}
+				else {
+					node.type = sigil === '#' ? 'section' : 'inverted';
+					node.name = body;
+					node.expression = parseTemplateExpression(body);
+				}
+				target().push(node);
+				stack.push(node);
+			}
+			else if (sigil === '/') {
+				if (stack.length === 1 || stack[stack.length - 1].name !== body) {
+					throw new Error('Template: unexpected closing tag "{{' + tag + '}}".');
+				}
+				stack.pop();
+			}
+			else if (tag === 'else') {
+				if (stack.length === 1) {
+					throw new Error('Template: "{{else}}" outside of a block.');
+				}
+				stack[stack.length - 1].inElse = true;
+			}
+			else if (sigil === '>') {
+				const spaceIndex = body.search(/\s/);
+				target().push({
+					type: 'partial', 
+					name: spaceIndex >= 0 ? body.substring(0, spaceIndex) : body, 
+					expression: spaceIndex >= 0 ? parseTemplateExpression(body.substring(spaceIndex).trim()) : null
+				});
+			}
+			else if (sigil === '&') {
+				target().push({type: 'value', expression: parseTemplateExpression(body), escape: false});
+			}
+			else {
+				target().push({type: 'value', expression: parseTemplateExpression(tag), escape: true});
+			}
+		}
+
+		if (lastIndex < content.length) {
+			target().push({type: 'text', value: content.substring(lastIndex)});
+		}
+		if (stack.length > 1) {
+			throw new Error('Template: unclosed block "{{#' + stack[stack.length - 1].name + '}}".');
+		}
+		return root.children;
 	};
-	
-	/**
-	 * Merges several members into each object's members in the SelectionGroup.
-	 * @param {object} memberMap the mapping of member names to values.
-	 */
-	const $merge = function(memberMap) {
-		each(memberMap, (v, k) => {
-			this[k] = v;
-		});
+
+	// Creates a render frame with a context object. Child frames inherit the parent's "@" data.
+	const createTemplateFrame = function(parent, context, data) {
+		const frameData = parent ? Object.create(parent.data) : { root: context };
+		if (data) {
+			Object.assign(frameData, data);
+		}
+		return {
+			context: context,
+			parent: parent,
+			data: frameData
+		};
 	};
 
-	/********************************************************************/
+	// Walks a member chain from a starting object. Missing members anywhere along the chain resolve to undefined.
+	const walkTemplateChain = function(result, expressionChain) {
+		for (let j = 0; j < expressionChain.length; j++) {
+			if (isUndefined(result) || isNull(result)) {
+				return undefined;
+			}
+			result = result[expressionChain[j]];
+		}
+		return result;
+	};
 
-	/**
-	 * Merges a set of CSS attributes into each element's local style in the SelectionGroup, or fetches them from the first.
-	 * If input is undefined, this will return a copied object of this element's local styles.
-	 * If input is an array of CSS attribute names, this will return an object of this element's corresponding local style values.
-	 * If input is a CSS attribute name, this will return this element's corresponding local style values.
-	 * If input is an object, this sets each element's local style values to the provided CSS attribute names and values.
-	 * @param {*} input the input value.
-	 */
-	const $style = function(input) {
-		if (isUndefined(input)) {
-			return { ...this.style };
+	// Compiles a path ("a.b.c", "this", ".", "@index", "@root.a", "../a") into a function that resolves it against a render frame.
+	// Like Mustache, if the first member is not found in the current context, the enclosing contexts are searched.
+	const compileTemplatePath = function(path) {
+		if (path.charAt(0) === '@') {
+			const expressionChain = path.substring(1).split('.');
+			const dataName = expressionChain.shift();
+			return (frame) => walkTemplateChain(frame.data[dataName], expressionChain);
 		}
-		else if (isArray(input)) {
-			let out = {};
-			each(input, (s) => {
-				out[s] = this.style[s];
-			});
+
+		let depth = 0;
+		while (path.indexOf('../') === 0) {
+			depth++;
+			path = path.substring(3);
+		}
+		const scopeFrame = (frame) => {
+			for (let i = 0; i < depth && frame.parent; i++) {
+				frame = frame.parent;
+			}
+			return frame;
+		};
+
+		if (path === 'this' || path === '.') {
+			return (frame) => scopeFrame(frame).context;
+		}
+
+		const scoped = path.indexOf('this.') !== 0;
+		const expressionChain = (scoped ? path : path.substring(5)).split('.');
+		const first = expressionChain[0];
+		return (frame) => {
+			let scope = scopeFrame(frame);
+			if (scoped) {
+				while (scope.parent && (isUndefined(scope.context) || isNull(scope.context) || isUndefined(Object(scope.context)[first]))) {
+					scope = scope.parent;
+				}
+			}
+			return walkTemplateChain(scope.context, expressionChain);
+		};
+	};
+
+	// Compiles a parsed template expression into a function that evaluates it against a render frame, applying its filters in order.
+	const compileTemplateExpression = function(expression) {
+		const resolve = compileTemplatePath(expression.path);
+		if (expression.filters.length === 0) {
+			return resolve;
+		}
+		const filters = expression.filters.map((filter) => ({
+			name: filter.name,
+			args: filter.args.map((arg) => isUndefined(arg.path) ? (() => arg.value) : compileTemplatePath(arg.path))
+		}));
+		return (frame) => {
+			let result = resolve(frame);
+			for (let i = 0; i < filters.length; i++) {
+				const filter = filters[i];
+				const filterFunc = TEMPLATE_FILTERS[filter.name];
+				if (!filterFunc) {
+					console.warn('DOMJunk: Unknown template filter: ' + filter.name);
+					continue;
+				}
+				result = filterFunc(result, ...filter.args.map((arg) => arg(frame)));
+			}
+			return result;
+		};
+	};
+
+	// Compiles a list renderer (Array or Object) for a node list renderer, setting @index/@key/@first/@last.
+	const compileTemplateList = function(render) {
+		return (frame, list) => {
+			let out = '';
+			if (isArray(list)) {
+				for (let i = 0; i < list.length; i++) {
+					out += render(createTemplateFrame(frame, list[i], {
+						index: i, key: i, first: i === 0, last: i === list.length - 1
+					}));
+				}
+			}
+			else {
+				const keys = Object.keys(list);
+				for (let i = 0; i < keys.length; i++) {
+					out += render(createTemplateFrame(frame, list[keys[i]], {
+						index: i, key: keys[i], first: i === 0, last: i === keys.length - 1
+					}));
+				}
+			}
 			return out;
+		};
+	};
+
+	// Compiles a single template node into a function that takes a render frame and returns an HTML string.
+	const compileTemplateNode = function(node) {
+		if (node.type === 'text') {
+			const value = node.value;
+			return () => value;
 		}
-		else if (isObject(input)) {
-			each(input, (v, k) => {
-				this.style[k] = v;
-			});
+		else if (node.type === 'value') {
+			const evaluate = compileTemplateExpression(node.expression);
+			const escape = node.escape;
+			return (frame) => {
+				const result = evaluate(frame);
+				if (isUndefined(result) || isNull(result)) {
+					return '';
+				}
+				return escape ? HTML_ESCAPE(result.toString()) : result.toString();
+			};
+		}
+		else if (node.type === 'if' || node.type === 'unless') {
+			const evaluate = compileTemplateExpression(node.expression);
+			const renderTrue = compileTemplateNodes(node.type === 'if' ? node.children : node.inverse);
+			const renderFalse = compileTemplateNodes(node.type === 'if' ? node.inverse : node.children);
+			return (frame) => isTemplateTruthy(evaluate(frame)) ? renderTrue(frame) : renderFalse(frame);
+		}
+		else if (node.type === 'each') {
+			const evaluate = compileTemplateExpression(node.expression);
+			const renderList = compileTemplateList(compileTemplateNodes(node.children));
+			const renderEmpty = compileTemplateNodes(node.inverse);
+			return (frame) => {
+				const list = evaluate(frame);
+				const empty = isUndefined(list) || isNull(list) || Object.keys(list).length === 0;
+				return empty ? renderEmpty(frame) : renderList(frame, list);
+			};
+		}
+		else if (node.type === 'section') {
+			const evaluate = compileTemplateExpression(node.expression);
+			const render = compileTemplateNodes(node.children);
+			const renderList = compileTemplateList(render);
+			const renderEmpty = compileTemplateNodes(node.inverse);
+			return (frame) => {
+				const result = evaluate(frame);
+				if (!isTemplateTruthy(result)) {
+					return renderEmpty(frame);
+				}
+				else if (isArray(result)) {
+					return renderList(frame, result);
+				}
+				else if (isBoolean(result)) {
+					return render(frame);
+				}
+				else {
+					return render(createTemplateFrame(frame, result));
+				}
+			};
+		}
+		else if (node.type === 'inverted') {
+			const evaluate = compileTemplateExpression(node.expression);
+			const renderTrue = compileTemplateNodes(node.inverse);
+			const renderFalse = compileTemplateNodes(node.children);
+			return (frame) => isTemplateTruthy(evaluate(frame)) ? renderTrue(frame) : renderFalse(frame);
+		}
+		else if (node.type === 'partial') {
+			const name = node.name;
+			const evaluate = node.expression ? compileTemplateExpression(node.expression) : null;
+			// Partials are looked up on render so that they can be registered in any order.
+			return (frame) => {
+				const partial = TEMPLATE_PARTIALS[name];
+				if (!partial) {
+					console.warn('DOMJunk: Unknown template partial: ' + name);
+					return '';
+				}
+				return partial(evaluate ? createTemplateFrame(frame, evaluate(frame)) : frame);
+			};
 		}
 		else {
-			return this.style[input];
+			throw new Error('Template: unknown node type "' + node.type + '".');
+		}
+	};
+
+	// Compiles a list of template nodes into a function that takes a render frame and returns an HTML string.
+	const compileTemplateNodes = function(nodes) {
+		const renderers = nodes.map(compileTemplateNode);
+		if (renderers.length === 0) {
+			return () => '';
 		}
+		else if (renderers.length === 1) {
+			return renderers[0];
+		}
+		return (frame) => {
+			let out = '';
+			for (let i = 0; i < renderers.length; i++) {
+				out += renderers[i](frame);
+			}
+			return out;
+		};
 	};
 
 	/**
-	 * Merges a set of DOM attributes into each element's attributes in the SelectionGroup, or fetches them from the first.
-	 * If input is undefined, this will return an object of this element's attribute values.
-	 * If input is an array of attribute names, this will return an object of this element's corresponding attribute values.
-	 * If input is an attribute name, this will return this element's corresponding attribute value.
-	 * If input is an object, this sets each element's attributes to the provided corresponding values.
-	 * @param {*} input the input value.
+	 * Compiles a template into a render function.
+	 * @param {*} template the template element, a SelectionGroup containing a template element, or template text.
+	 * @returns {Function} a function that takes a model (Object or Array) and returns an array of generated elements.
+	 * 		The function's "html" member takes a single model object and returns the generated HTML text.
 	 */
-	const $attr = function(input) {
-		if (isUndefined(input)) {
-			let out = {};
-			const names = this.getAttributeNames();
-			for (let i = 0; i < names.length; i++) {
-				out[names[i]] = this.getAttribute(names[i]);
+	const compileTemplate = function(template) {
+		const renderFrame = compileTemplateNodes(parseTemplate(getTemplateContent(template)));
+		const renderHTML = (modelObject) => renderFrame(createTemplateFrame(null, modelObject));
+
+		// Parses the HTML generated for one model object, storing the model on each element.
+		const parseItem = (html, modelObject, out) => {
+			const generated = createHTML(html);
+			for (let i = 0; i < generated.length; i++) {
+				if (generated[i].nodeType === Node.ELEMENT_NODE) {
+					getDataStore(generated[i], true).model = modelObject;
+				}
 			}
+			out.push(...generated);
 			return out;
+		};
+
+		const render = function(model) {
+			if (!isArray(model)) {
+				return parseItem(renderHTML(model), model, []);
+			}
+			const htmlItems = model.map((modelObject) => renderHTML(modelObject));
+
+			// Parse all of the generated HTML at once (faster than once per item) - each item is separated by 
+			// a marker comment so that adjacent text nodes from different items are not merged.
+			const parsed = createHTML(htmlItems.join(TEMPLATE_SEPARATOR));
+			const separators = [];
+			for (let i = 0; i < parsed.length; i++) {
+				if (parsed[i].nodeType === Node.COMMENT_NODE && parsed[i].data === TEMPLATE_SEPARATOR_DATA) {
+					separators.push(i);
+				}
+			}
+
+			// If an item's HTML was not well-formed (an unclosed tag, for example), it can swallow the separators 
+			// after it, so parse each item on its own instead.
+			if (separators.length !== Math.max(0, model.length - 1)) {
+				const generated = [];
+				for (let i = 0; i < model.length; i++) {
+					parseItem(htmlItems[i], model[i], generated);
+				}
+				return generated;
+			}
+
+			const generated = [];
+			let modelIndex = 0;
+			for (let i = 0; i < parsed.length; i++) {
+				const node = parsed[i];
+				if (separators[modelIndex] === i) {
+					modelIndex++;
+				}
+				else {
+					if (node.nodeType === Node.ELEMENT_NODE) {
+						getDataStore(node, true).model = model[modelIndex];
+					}
+					generated.push(node);
+				}
+			}
+			return generated;
+		};
+		render.html = renderHTML;
+		return render;
+	};
+
+	// Template element -> compiled template function.
+	let TEMPLATE_CACHE = new WeakMap();
+
+	// Fetches a compiled template for a template element (or SelectionGroup, text, or already-compiled function),
+	// compiling and caching it on first use.
+	const getCompiledTemplate = function(template) {
+		if (isCallable(template)) {
+			return template;
 		}
-		else if (isArray(input)) {
-			let out = {};
-			each(input, (a) => {
-				out[a] = this.getAttribute(a);
-			});
-			return out;
+		if (template instanceof SelectionGroup) {
+			template = template[0];
 		}
-		else if (isObject(input)) {
-			each(input, (v, k) => {
-				this.setAttribute(k, v);
-			});
+		if (isString(template)) {
+			return compileTemplate(template);
+		}
+		let compiled = TEMPLATE_CACHE.get(template);
+		if (!compiled) {
+			compiled = compileTemplate(template);
+			TEMPLATE_CACHE.set(template, compiled);
+		}
+		return compiled;
+	};
+
+
+	/********************************************************************/
+
+	const isEmptyValue = function(value) {
+		return isUndefined(value) || isNull(value);
+	};
+
+	const toDate = function(value) {
+		return (value instanceof Date) ? value : new Date(value);
+	};
+
+	const padNumber = function(value, length) {
+		let out = String(value);
+		while (out.length < length) {
+			out = '0' + out;
+		}
+		return out;
+	};
+
+	const DATE_TOKEN_REGEX = /yyyy|yy|MM|M|dd|d|HH|H|hh|h|mm|m|ss|s|a/g;
+
+	// Formats a date using a simple token pattern (yyyy, yy, MM, M, dd, d, HH, H, hh, h, mm, m, ss, s, a).
+	const formatDatePattern = function(date, pattern) {
+		const hours12 = (date.getHours() % 12) || 12;
+		const tokens = {
+			'yyyy': () => String(date.getFullYear()),
+			'yy':   () => padNumber(date.getFullYear() % 100, 2),
+			'MM':   () => padNumber(date.getMonth() + 1, 2),
+			'M':    () => String(date.getMonth() + 1),
+			'dd':   () => padNumber(date.getDate(), 2),
+			'd':    () => String(date.getDate()),
+			'HH':   () => padNumber(date.getHours(), 2),
+			'H':    () => String(date.getHours()),
+			'hh':   () => padNumber(hours12, 2),
+			'h':    () => String(hours12),
+			'mm':   () => padNumber(date.getMinutes(), 2),
+			'm':    () => String(date.getMinutes()),
+			'ss':   () => padNumber(date.getSeconds(), 2),
+			's':    () => String(date.getSeconds()),
+			'a':    () => date.getHours() < 12 ? 'AM' : 'PM'
+		};
+		return pattern.replace(DATE_TOKEN_REGEX, (m) => tokens[m]());
+	};
+
+	// Formats a value for a locale via a format function, returning the value as is if the locale 
+	// or format options (a currency code, for example) are invalid.
+	const formatForLocale = function(value, formatFunc) {
+		try {
+			return formatFunc();
+		}
+		catch (err) {
+			if (err instanceof RangeError) {
+				return value;
+			}
+			throw err;
+		}
+	};
+
+	const filterUpper = function(value) {
+		return isEmptyValue(value) ? value : String(value).toUpperCase();
+	};
+
+	const filterLower = function(value) {
+		return isEmptyValue(value) ? value : String(value).toLowerCase();
+	};
+
+	const filterCapitalize = function(value) {
+		if (isEmptyValue(value)) {
+			return value;
+		}
+		const str = String(value);
+		return str.charAt(0).toUpperCase() + str.substring(1);
+	};
+
+	const filterTrim = function(value) {
+		return isEmptyValue(value) ? value : String(value).trim();
+	};
+
+	const filterTruncate = function(value, length, suffix) {
+		if (isEmptyValue(value)) {
+			return value;
+		}
+		const str = String(value);
+		suffix = isUndefined(suffix) ? '...' : String(suffix);
+		return str.length > length ? str.substring(0, Math.max(0, length - suffix.length)) + suffix : str;
+	};
+
+	const filterDefault = function(value, defaultValue) {
+		return (isEmptyValue(value) || value === '') ? defaultValue : value;
+	};
+
+	const filterNumber = function(value, decimals, locale) {
+		if (isEmptyValue(value) || value === '' || isNaN(value)) {
+			return value;
+		}
+		const opt = isUndefined(decimals) ? {} : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+		return formatForLocale(value, () => Number(value).toLocaleString(locale, opt));
+	};
+
+	const filterCurrency = function(value, currency, locale) {
+		if (isEmptyValue(value) || value === '' || isNaN(value)) {
+			return value;
+		}
+		return formatForLocale(value, () => Number(value).toLocaleString(locale, { style: 'currency', currency: currency || 'USD' }));
+	};
+
+	const filterPercent = function(value, decimals, locale) {
+		if (isEmptyValue(value) || value === '' || isNaN(value)) {
+			return value;
+		}
+		const opt = isUndefined(decimals) ? {} : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+		return formatForLocale(value, () => Number(value).toLocaleString(locale, { style: 'percent', ...opt }));
+	};
+
+	const filterDate = function(value, format, locale) {
+		if (isEmptyValue(value) || value === '') {
+			return value;
+		}
+		const date = toDate(value);
+		if (isNaN(date.getTime())) {
+			return value;
+		}
+		if (isUndefined(format)) {
+			return formatForLocale(value, () => date.toLocaleDateString(locale));
+		}
+		else if (format === 'iso') {
+			return date.toISOString();
+		}
+		else if (format === 'short' || format === 'medium' || format === 'long' || format === 'full') {
+			return formatForLocale(value, () => date.toLocaleDateString(locale, { dateStyle: format }));
 		}
 		else {
-			return this.getAttribute(input);
+			return formatDatePattern(date, format);
 		}
 	};
 
+	const filterJSON = function(value, indent) {
+		return isUndefined(value) ? value : JSON.stringify(value, null, indent);
+	};
+
+	const filterJoin = function(value, separator) {
+		return isArray(value) ? value.join(isUndefined(separator) ? ', ' : separator) : value;
+	};
+
+
+	/********************************************************************/
+	/** Commands                                                       **/
+	/********************************************************************/
+
 	/**
-	 * Adds a set of CSS classes to each element in the SelectionGroup.
-	 * @param {string} classNames... the vararg list of class names to add to each element.
+	 * Calls a function on each element in the SelectionGroup.
+	 * Each element is passed to the function as "this" and the first 
+	 * parameter (for fat-arrow lambdas that preserve "this").
+	 * @param {function} func the function to call for each element.
 	 */
-	const $classAdd = function(/* classNames... */) {
-		const classNames = arguments;
-		const classes = this.className.trim().length > 0 ? this.className.split(/\s+/) : [];
-		const classSet = fold({}, (obj) => {
-			classes.map((c) => {obj[c] = true;});
-		});
-		for (let i = 0; i < classNames.length; i++) {
-			if (!classSet[classNames[i]]) {
-				classes.push(classNames[i]);
+	const $each = function(func) {
+		func.apply(this, [this]);
+	};
+
+	/**
+	 * Performs a document query on each DOM element in the SelectionGroup, 
+	 * and returns a new SelectionGroup of the combined results.
+	 * @param {string} query the CSS/document query.
+	 * @param {boolean} one (optional) if true, return the first match in each element.
+	 * @returns {SelectionGroup} the new SelectionGroup of matching elements.
+	 */
+	const $search = function(query, one) {
+		return !!one 
+			? this.querySelector(query)
+			: this.querySelectorAll(query)
+		;
+	};
+
+	/**
+	 * Gets a child of each DOM element in the SelectionGroup.
+	 * @param {number} index the index of the child element to fetch.
+	 * @returns {SelectionGroup} the new SelectionGroup with the children.
+	 */
+	const $child = function(index) {
+		return this.children[index];
+	};
+
+	/**
+	 * Gets all immediate children of each DOM element in the SelectionGroup.
+	 * @returns {SelectionGroup} the new SelectionGroup with the children.
+	 */
+	const $children = function() {
+		return this.children;
+	};
+
+	/**
+	 * Gets the immediate parent of each DOM element in the SelectionGroup.
+	 * @returns {SelectionGroup} the new SelectionGroup with the parent elements.
+	 */
+	const $parent = function() {
+		return this.parentElement;
+	};
+
+	/**
+	 * Gets the parents of each DOM element in the SelectionGroup.
+	 * @param {string} untilSelector (optional) if provided, stop at (and do not include) the first ancestor that matches this selector.
+	 * @returns {SelectionGroup} the new SelectionGroup with the parent elements.
+	 */
+	const $ancestors = function(untilSelector) {
+		let elem = this;
+		const out = [];
+		while (elem.parentElement !== null) {
+			if (untilSelector && matches(elem.parentElement, untilSelector)) {
+				break;
+			}
+			out.push(elem.parentElement);
+			elem = elem.parentElement;
+		}
+		return out;
+	};
+
+	/**
+	 * Gets the closest element to each DOM element in the SelectionGroup (starting with itself, then its ancestors) 
+	 * that matches a selector.
+	 * @param {string} selector the selector to match.
+	 * @returns {SelectionGroup} the new SelectionGroup with the matching elements.
+	 */
+	const $closest = function(selector) {
+		let elem = this;
+		while (elem && !matches(elem, selector)) {
+			elem = elem.parentElement;
+		}
+		return elem;
+	};
+
+	/**
+	 * Gets all of the children and the children's children of each DOM element in the SelectionGroup.
+	 * @returns {SelectionGroup} the new SelectionGroup with the descending elements.
+	 */
+	const $descendants = function() {
+		return this.querySelectorAll('*');
+	};
+
+	// Adds the matches for a query in a root node and every open shadow root inside it.
+	const querySelectorAllDeep = function(root, query, out) {
+		out.push(...root.querySelectorAll(query));
+		const elements = root.querySelectorAll('*');
+		for (let i = 0; i < elements.length; i++) {
+			if (elements[i].shadowRoot) {
+				querySelectorAllDeep(elements[i].shadowRoot, query, out);
 			}
 		}
-		this.className = classes.join(" ");
+		return out;
+	};
+
+	/**
+	 * Performs a document query on each DOM element in the SelectionGroup, including inside open shadow roots
+	 * (and the shadow roots inside those), and returns a new SelectionGroup of the combined results.
+	 * Elements in a shadow root come right after their host element.
+	 * @param {string} query the CSS/document query.
+	 * @returns {SelectionGroup} the new SelectionGroup of matching elements.
+	 */
+	const $searchDeep = function(query) {
+		const out = querySelectorAllDeep(this, query, []);
+		if (this.shadowRoot) {
+			querySelectorAllDeep(this.shadowRoot, query, out);
+		}
+		return out;
+	};
+
+	/**
+	 * Gets the open shadow root of each DOM element in the SelectionGroup.
+	 * The result can be searched, filled, and so on, like any other SelectionGroup.
+	 * @returns {SelectionGroup} the new SelectionGroup with the shadow roots.
+	 */
+	const $shadow = function() {
+		return this.shadowRoot;
+	};
+
+	/**
+	 * Gets all of the siblings of each DOM element in the SelectionGroup (parent's children minus the source element).
+	 * @returns {SelectionGroup} the new SelectionGroup with the sibling elements.
+	 */
+	const $siblings = function() {
+		const out = [];
+		if (!this.parentElement) {
+			return out;
+		}
+		const children = [ ...this.parentElement.children];
+		for (let i = 0; i < children.length; i++) {
+			const child = children[i];
+			if (child !== this)
+				out.push(child);
+		}
+		return out;
+	};
+
+	/**
+	 * Gets the next sibling element of each DOM element in the SelectionGroup.
+	 * @param {string} selector (optional) if provided, the sibling is only included if it matches this selector.
+	 * @returns {SelectionGroup} the new SelectionGroup with the sibling elements.
+	 */
+	const $next = function(selector) {
+		const sibling = this.nextElementSibling;
+		return (sibling && (!selector || matches(sibling, selector))) ? sibling : null;
+	};
+
+	/**
+	 * Gets the previous sibling element of each DOM element in the SelectionGroup.
+	 * @param {string} selector (optional) if provided, the sibling is only included if it matches this selector.
+	 * @returns {SelectionGroup} the new SelectionGroup with the sibling elements.
+	 */
+	const $prev = function(selector) {
+		const sibling = this.previousElementSibling;
+		return (sibling && (!selector || matches(sibling, selector))) ? sibling : null;
+	};
+
+	/********************************************************************/
+
+	// Creates an element test function from a selector, a function (called with thisArg or the element as "this", 
+	// and the element, the index, and the list as parameters), an element, or a SelectionGroup/array of elements.
+	const createElementTest = function(test, list, thisArg) {
+		if (isString(test)) {
+			return (element) => matches(element, test);
+		}
+		else if (isCallable(test)) {
+			return (element, index) => !!test.call(isUndefined(thisArg) ? element : thisArg, element, index, list);
+		}
+		else if (test instanceof SelectionGroup || isArray(test)) {
+			return (element) => test.indexOf(element) >= 0;
+		}
+		else {
+			return (element) => element === test;
+		}
+	};
+
+	// Turns a query, element, or list of elements into a SelectionGroup (see DOMJunk()).
+	const toSelectionGroup = function(query) {
+		return query instanceof SelectionGroup ? query : DOMJunk(query);
+	};
+
+	/**
+	 * Combines this SelectionGroup with other elements, without duplicates.
+	 * The elements in this SelectionGroup come first, then the new elements, in the order provided.
+	 * See sortByDocumentOrder() for putting them in document order.
+	 * @param {...*} others the SelectionGroups, elements, lists of elements, or queries to add.
+	 * @returns {SelectionGroup} the new SelectionGroup with all of the elements.
+	 */
+	const $union = function(...others) {
+		const out = [ ...this];
+		each(others, (other) => {
+			out.push(...toSelectionGroup(other));
+		});
+		return new SelectionGroup(uniqueNodes(out));
+	};
+
+	/**
+	 * Reduces the SelectionGroup to the elements that are also in another group.
+	 * @param {*} other the SelectionGroup, element, list of elements, or query.
+	 * @returns {SelectionGroup} the new SelectionGroup with the elements found in both.
+	 */
+	const $intersect = function(other) {
+		const otherSet = new Set(toSelectionGroup(other));
+		return new SelectionGroup(uniqueNodes([ ...this].filter((element) => otherSet.has(element))));
+	};
+
+	/**
+	 * Reduces the SelectionGroup to the elements that are not in another group.
+	 * @param {*} other the SelectionGroup, element, list of elements, or query.
+	 * @returns {SelectionGroup} the new SelectionGroup with the elements not found in the other.
+	 */
+	const $difference = function(other) {
+		const otherSet = new Set(toSelectionGroup(other));
+		return new SelectionGroup(uniqueNodes([ ...this].filter((element) => !otherSet.has(element))));
+	};
+
+	/**
+	 * Adds the results of a query to the SelectionGroup, without duplicates (see union()).
+	 * @param {*} query the CSS/document query, HTML text, element, or list of elements (see DOMJunk()).
+	 * @param {boolean} one (optional) if true, and CSS selector, add only the first match.
+	 * @returns {SelectionGroup} the new SelectionGroup with all of the elements.
+	 */
+	const $add = function(query, one) {
+		return $union.call(this, isString(query) ? DOMJunk(query, one) : query);
+	};
+
+	/**
+	 * Sorts the nodes in the SelectionGroup into document order, without duplicates.
+	 * Nodes inside a shadow root come right after their host element.
+	 * @returns {SelectionGroup} the new SelectionGroup with the sorted nodes.
+	 */
+	const $sortByDocumentOrder = function() {
+		return new SelectionGroup(sortByDocumentOrder(uniqueNodes([ ...this])));
+	};
+
+	/**
+	 * Reduces the SelectionGroup to the elements that pass a test.
+	 * With a function, this is the same as Array.filter() - the function is called with the element, 
+	 * the index, and the SelectionGroup - except that "this" is the element unless thisArg is provided, 
+	 * and a SelectionGroup is returned.
+	 * @param {*} test a selector to match, or a function that returns true to keep an element,
+	 * 		or an element or group of elements to keep.
+	 * @param {*} thisArg (optional) the value to use as "this" when calling a test function.
+	 * @returns {SelectionGroup} the new SelectionGroup with the matching elements.
+	 */
+	const $filter = function(test, thisArg) {
+		const testFunc = createElementTest(test, this, thisArg);
+		const out = [];
+		for (let i = 0; i < this.length; i++) {
+			if (testFunc(this[i], i)) {
+				out.push(this[i]);
+			}
+		}
+		return new SelectionGroup(out);
+	};
+
+	/**
+	 * Reduces the SelectionGroup to the elements that do not pass a test.
+	 * @param {*} test a selector to match, or a function that returns true to remove an element 
+	 * 		(called with the element as "this", and the element, index, and SelectionGroup as parameters),
+	 * 		or an element or group of elements to remove.
+	 * @returns {SelectionGroup} the new SelectionGroup with the non-matching elements.
+	 */
+	const $not = function(test) {
+		const testFunc = createElementTest(test, this);
+		const out = [];
+		for (let i = 0; i < this.length; i++) {
+			if (!testFunc(this[i], i)) {
+				out.push(this[i]);
+			}
+		}
+		return new SelectionGroup(out);
+	};
+
+	/**
+	 * Checks if any element in the SelectionGroup passes a test.
+	 * @param {*} test a selector to match, or a test function 
+	 * 		(called with the element as "this", and the element, index, and SelectionGroup as parameters),
+	 * 		or an element or group of elements to look for.
+	 * @returns {boolean} true if at least one element passes, false if not.
+	 */
+	const $is = function(test) {
+		const testFunc = createElementTest(test, this);
+		for (let i = 0; i < this.length; i++) {
+			if (testFunc(this[i], i)) {
+				return true;
+			}
+		}
+		return false;
+	};
+
+	/**
+	 * Reduces the SelectionGroup to the elements that contain a descendant matching a selector, 
+	 * or one of a set of specific elements.
+	 * @param {*} test a selector, or an element, SelectionGroup, or list of elements.
+	 * @returns {SelectionGroup} the new SelectionGroup with the matching elements.
+	 */
+	const $has = function(test) {
+		const nodes = isString(test) ? null : toNodeArray(test);
+		const out = [];
+		for (let i = 0; i < this.length; i++) {
+			const element = this[i];
+			const found = nodes === null 
+				? element.querySelector(test) !== null 
+				: nodes.some((node) => element !== node && element.contains(node));
+			if (found) {
+				out.push(element);
+			}
+		}
+		return new SelectionGroup(out);
+	};
+
+	/**
+	 * Gets an index.
+	 * If no parameter is provided, this returns the index of the first element among its sibling elements.
+	 * If a selector is provided, this returns the index of the first element among the elements that match the selector.
+	 * If an element (or SelectionGroup - first element is used) is provided, this returns its index in this SelectionGroup.
+	 * @param {*} target (optional) the selector or element.
+	 * @returns {number} the index, or -1 if not found.
+	 */
+	const $index = function(target) {
+		if (isUndefined(target) || isNull(target)) {
+			if (this.length === 0 || !this[0].parentElement) {
+				return -1;
+			}
+			return [ ...this[0].parentElement.children].indexOf(this[0]);
+		}
+		else if (isString(target)) {
+			return this.length > 0 ? [ ...document.querySelectorAll(target)].indexOf(this[0]) : -1;
+		}
+		else {
+			return this.indexOf(target instanceof SelectionGroup ? target[0] : target);
+		}
+	};
+
+
+	/********************************************************************/
+
+	/**
+	 * Removes all of the children in each DOM element in the SelectionGroup, and releases what DOMJunk holds for them
+	 * like remove() does, unless they are put back into the document right away (as in refill()).
+	 */
+	const $clear = function() {
+		const removed = [];
+		while (this.firstChild) {
+			removed.push(this.removeChild(this.firstChild));
+		}
+		cleanupTreesIfRemoved(removed);
+	};
+
+	// Turns insertable content into an array of nodes.
+	// Accepts a node, SelectionGroup, Array, NodeList, HTMLCollection, Document, DocumentFragment, or HTML string.
+	const toInsertNodes = function(content) {
+		if (isUndefined(content) || isNull(content)) {
+			return [];
+		}
+		else if (isString(content)) {
+			return [ ...createHTML(content)];
+		}
+		else if (content instanceof Document || content instanceof DocumentFragment) {
+			return [ ...content.childNodes];
+		}
+		else if (content instanceof SelectionGroup || isArray(content) || content instanceof NodeList || content instanceof HTMLCollection) {
+			const out = [];
+			for (let i = 0; i < content.length; i++) {
+				out.push(...toInsertNodes(content[i]));
+			}
+			return out;
+		}
+		else {
+			return [content];
+		}
+	};
+
+	// Turns insertable content into a single element, ignoring whitespace around an HTML string.
+	// Returns null if the content is not exactly one element.
+	const toSingleElement = function(content) {
+		const nodes = toInsertNodes(content).filter((n) => n.nodeType !== Node.TEXT_NODE || n.data.trim().length > 0);
+		return (nodes.length === 1 && nodes[0].nodeType === Node.ELEMENT_NODE) ? nodes[0] : null;
+	};
+
+	// Inserts content at each element in a SelectionGroup via an insert function that takes (target, fragment).
+	// Every target but the last gets copies of the content, with the handlers and data of the originals (see clone()).
+	// Every target but the last gets deep copies of the content, and the last gets the content itself.
+	const insertForEach = function(group, content, insertFunc) {
+		const nodes = toInsertNodes(content);
+		for (let i = 0; i < group.length; i++) {
+			const fragment = document.createDocumentFragment();
+			const last = i === group.length - 1;
+			for (let n = 0; n < nodes.length; n++) {
+				fragment.appendChild(last ? nodes[n] : cloneWithResources(nodes[n], true));
+			}
+			insertFunc(group[i], fragment);
+		}
+		return group;
+	};
+
+	/**
+	 * Appends one or more child elements to each DOM element in the SelectionGroup.
+	 * If elements is an array, NodeList, or SelectionGroup, each child in it is appended.
+	 * If elements is a Document or DocumentFragment, its children are appended.
+	 * If elements is a string, it is parsed as HTML (see DOMJunk.h()), and the result is appended.
+	 * Otherwise, elements is considered to be one element, and it is appended.
+	 * If there is more than one DOM element in the SelectionGroup, each one but the last gets copies of the children
+	 * (with the handlers and data added via attach() and data() - see clone()).
+	 * @param {*} elements one or more children to add.
+	 */
+	const $append = function(elements) {
+		return insertForEach(this, elements, (target, fragment) => {
+			target.appendChild(fragment);
+		});
+	};
+
+	/**
+	 * Inserts one or more child elements at the start of each DOM element in the SelectionGroup.
+	 * Accepts the same content as append().
+	 * @param {*} elements one or more children to add.
+	 */
+	const $prepend = function(elements) {
+		return insertForEach(this, elements, (target, fragment) => {
+			target.insertBefore(fragment, target.firstChild);
+		});
+	};
+
+	/**
+	 * Inserts one or more child elements into each DOM element in the SelectionGroup, before the child element at an index.
+	 * If the index is negative, it counts back from the end. If it is past the last child element, the children are appended.
+	 * Accepts the same content as append().
+	 * @param {number} index the child element index.
+	 * @param {*} elements one or more children to add.
+	 */
+	const $insertAt = function(index, elements) {
+		return insertForEach(this, elements, (target, fragment) => {
+			const i = index < 0 ? target.children.length + index : index;
+			target.insertBefore(fragment, target.children[Math.max(0, i)] || null);
+		});
+	};
+
+	/**
+	 * Inserts one or more elements before each DOM element in the SelectionGroup, as siblings.
+	 * Accepts the same content as append().
+	 * @param {*} elements one or more elements to add.
+	 */
+	const $before = function(elements) {
+		return insertForEach(this.filter((e) => !!e.parentNode), elements, (target, fragment) => {
+			target.parentNode.insertBefore(fragment, target);
+		});
+	};
+
+	/**
+	 * Inserts one or more elements after each DOM element in the SelectionGroup, as siblings.
+	 * Accepts the same content as append().
+	 * @param {*} elements one or more elements to add.
+	 */
+	const $after = function(elements) {
+		return insertForEach(this.filter((e) => !!e.parentNode), elements, (target, fragment) => {
+			target.parentNode.insertBefore(fragment, target.nextSibling);
+		});
+	};
+
+	/**
+	 * Replaces each DOM element in the SelectionGroup with one or more elements.
+	 * The replaced elements are removed as though remove() was called on them.
+	 * Accepts the same content as append().
+	 * @param {*} elements one or more elements to put in their place.
+	 * @returns {SelectionGroup} the SelectionGroup (of removed elements).
+	 */
+	const $replaceWith = function(elements) {
+		insertForEach(this.filter((e) => !!e.parentNode), elements, (target, fragment) => {
+			target.parentNode.insertBefore(fragment, target);
+		});
+		return this.remove();
+	};
+
+	// Functions called on each element (and descendant) removed via remove(), for releasing DOMJunk resources.
+	const CLEANUPFUNCS = [];
+
+	// Releases DOMJunk resources held for an element and its descendants.
+	const cleanupTree = function(element) {
+		const elements = element.querySelectorAll ? [element, ...element.querySelectorAll('*')] : [element];
+		for (let i = 0; i < elements.length; i++) {
+			for (let f = 0; f < CLEANUPFUNCS.length; f++) {
+				CLEANUPFUNCS[f](elements[i]);
+			}
+		}
+	};
+
+	// Releases DOMJunk resources held for removed nodes (and their descendants) if they are still out of the document 
+	// once the current task is done (so that nodes that are moved, like in refill(), keep them).
+	const cleanupTreesIfRemoved = function(nodes) {
+		if (nodes.length === 0) {
+			return;
+		}
+		Promise.resolve().then(() => {
+			for (let i = 0; i < nodes.length; i++) {
+				if (!nodes[i].isConnected) {
+					cleanupTree(nodes[i]);
+				}
+			}
+		});
+	};
+
+	/**
+	 * Removes each DOM element in the SelectionGroup from the document, 
+	 * and releases what DOMJunk holds for them and their descendants (such as handlers added via attach()).
+	 * @param {string} selector (optional) if provided, only the elements that match this selector are removed.
+	 * @returns {SelectionGroup} the SelectionGroup.
+	 */
+	const $remove = function(selector) {
+		const targets = selector ? this.filter(selector) : this;
+		for (let i = 0; i < targets.length; i++) {
+			const target = targets[i];
+			target.parentNode && target.parentNode.removeChild(target);
+			cleanupTree(target);
+		}
+		return this;
+	};
+
+	/**
+	 * Removes each DOM element in the SelectionGroup from the document, but keeps everything DOMJunk holds for them
+	 * (such as handlers added via attach()), so that they can be inserted again later.
+	 * @returns {SelectionGroup} the SelectionGroup.
+	 */
+	const $detachNodes = function() {
+		for (let i = 0; i < this.length; i++) {
+			const target = this[i];
+			target.parentNode && target.parentNode.removeChild(target);
+		}
+		return this;
+	};
+
+	/**
+	 * Wraps each DOM element in the SelectionGroup in a copy of a wrapping element.
+	 * If the wrapping element has children, the DOM element is placed in its innermost first element.
+	 * @param {*} wrapper the wrapping element, a SelectionGroup (first element is used), or HTML string.
+	 * @returns {SelectionGroup} the SelectionGroup.
+	 */
+	const $wrap = function(wrapper) {
+		const wrapperNode = toInsertNodes(wrapper).filter((n) => n.nodeType === Node.ELEMENT_NODE)[0];
+		if (!wrapperNode) {
+			return this;
+		}
+		for (let i = 0; i < this.length; i++) {
+			const target = this[i];
+			const copy = wrapperNode.cloneNode(true);
+			let inner = copy;
+			while (inner.firstElementChild) {
+				inner = inner.firstElementChild;
+			}
+			target.parentNode && target.parentNode.insertBefore(copy, target);
+			inner.appendChild(target);
+		}
+		return this;
+	};
+
+	/**
+	 * Removes the parent of each DOM element in the SelectionGroup, leaving the parent's children in its place.
+	 * The document body is never unwrapped.
+	 * @param {string} selector (optional) if provided, only parents that match this selector are removed.
+	 * @returns {SelectionGroup} the SelectionGroup.
+	 */
+	const $unwrap = function(selector) {
+		const parents = uniqueNodes(this.elements().map((e) => e.parentElement).filter((p) => 
+			!!p && p !== document.body && p !== document.documentElement && p.parentNode && (!selector || matches(p, selector))
+		));
+		for (let i = 0; i < parents.length; i++) {
+			const parent = parents[i];
+			while (parent.firstChild) {
+				parent.parentNode.insertBefore(parent.firstChild, parent);
+			}
+			parent.parentNode.removeChild(parent);
+		}
+		return this;
+	};
+
+	// Functions called with (source, copy) on each element (and descendant) copied via clone(deep, true), 
+	// for copying DOMJunk resources.
+	const CLONEFUNCS = [];
+
+	// Copies a node, and the DOMJunk resources (handlers, data) of it and its copied descendants.
+	const cloneWithResources = function(source, deep) {
+		const copy = source.cloneNode(deep);
+		const sources = [source];
+		const copies = [copy];
+		if (deep && source.querySelectorAll) {
+			sources.push(...source.querySelectorAll('*'));
+			copies.push(...copy.querySelectorAll('*'));
+		}
+		for (let n = 0; n < sources.length; n++) {
+			for (let f = 0; f < CLONEFUNCS.length; f++) {
+				CLONEFUNCS[f](sources[n], copies[n]);
+			}
+		}
+		return copy;
+	};
+
+	/**
+	 * Copies each DOM element in the SelectionGroup.
+	 * @param {boolean} deep (optional) if true, the descendants are copied too. Default: true.
+	 * @param {boolean} withHandlers (optional) if true, handlers added via attach() and data added via data() are copied too. Default: false.
+	 * @returns {SelectionGroup} a new SelectionGroup of the copies.
+	 */
+	const $clone = function(deep, withHandlers) {
+		deep = isUndefined(deep) ? true : !!deep;
+		const out = [];
+		for (let i = 0; i < this.length; i++) {
+			out.push(withHandlers ? cloneWithResources(this[i], deep) : this[i].cloneNode(deep));
+		}
+		return new SelectionGroup(out);
+	};
+
+	/**
+	 * Removes all of the children in each DOM element in the SelectionGroup, and
+	 * fills them with a new list of children.
+	 * Equivalent to: .clear().append(elements)
+	 * @param {*} elements one or more children to add.
+	 */
+	const $refill = function(elements) {
+		return this.clear().append(elements);
+	};
+
+	/**
+	 * Removes all of the children in each DOM element in the SelectionGroup, and
+	 * fills them with a new list of children.
+	 * Equivalent to: .clear().append(DOMJunk.createTemplateElements(template, model))
+	 * The template is compiled once and cached for the template element.
+	 * @param {Template | SelectionGroup | Function} template the template element to use (can be a SelectionGroup - the first element is used if so),
+	 * 		or a compiled template from DOMJunk.compileTemplate().
+	 * @param {Object} model the model for the template.
+	 */
+	const $refillTemplate = function(template, model) {
+		if (template instanceof SelectionGroup)
+			template = template[0];
+		(new SelectionGroup(this, true)).clear().append(DOMJunk.createTemplateElements(
+			template, model
+		));
+	};
+
+	// Element -> list key, for elements generated via keyed refillList().
+	const LISTKEYS = new WeakMap();
+
+	// Returns the indices in an array of numbers that make up its longest increasing subsequence.
+	const longestIncreasingSubsequence = function(arr) {
+		const predecessors = new Array(arr.length);
+		const tails = [];
+		for (let i = 0; i < arr.length; i++) {
+			let lo = 0;
+			let hi = tails.length;
+			while (lo < hi) {
+				const mid = (lo + hi) >> 1;
+				if (arr[tails[mid]] < arr[i])
+					lo = mid + 1;
+				else
+					hi = mid;
+			}
+			predecessors[i] = lo > 0 ? tails[lo - 1] : -1;
+			tails[lo] = i;
+		}
+		const out = new Array(tails.length);
+		for (let i = tails.length - 1, k = tails[tails.length - 1]; i >= 0; i--, k = predecessors[k]) {
+			out[i] = k;
+		}
+		return out;
+	};
+
+	// Reconciles an element's children against a list of data using keys.
+	const refillListKeyed = function(element, arr, generatorFunc, options) {
+		const keyFunc = isCallable(options.key) 
+			? options.key 
+			: (v) => (isUndefined(v) || isNull(v)) ? v : v[options.key];
+
+		const existing = new Map();
+		for (let i = 0; i < element.children.length; i++) {
+			const child = element.children[i];
+			if (LISTKEYS.has(child) && !existing.has(LISTKEYS.get(child))) {
+				existing.set(LISTKEYS.get(child), { node: child, index: i });
+			}
+		}
+
+		const nextNodes = [];
+		const oldIndices = [];
+		each(arr, (v, k) => {
+			const key = keyFunc(v, k);
+			const found = existing.get(key);
+			if (found) {
+				existing.delete(key);
+				getDataStore(found.node, true).model = v;
+				options.update && options.update(found.node, v, k);
+				nextNodes.push(found.node);
+				oldIndices.push(found.index);
+			}
+			else {
+				const gen = generatorFunc(v, k);
+				if (gen) {
+					const node = toSingleElement(gen);
+					if (!node) {
+						throw new Error("Keyed refillList() generator must return exactly one element per item (key: " + key + ")!");
+					}
+					LISTKEYS.set(node, key);
+					getDataStore(node, true).model = v;
+					nextNodes.push(node);
+					oldIndices.push(-1);
+				}
+			}
+		});
+
+		// Remove everything not reused.
+		const keep = new Set(nextNodes);
+		const removed = [];
+		for (let i = element.childNodes.length - 1; i >= 0; i--) {
+			const child = element.childNodes[i];
+			if (!keep.has(child)) {
+				removed.push(element.removeChild(child));
+			}
+		}
+		releaseObserversIfRemoved(removed);
+
+		// Only move nodes that are not part of the longest run already in order.
+		const reusedPositions = [];
+		const reusedIndices = [];
+		for (let i = 0; i < oldIndices.length; i++) {
+			if (oldIndices[i] >= 0) {
+				reusedPositions.push(i);
+				reusedIndices.push(oldIndices[i]);
+			}
+		}
+		const stable = new Set(longestIncreasingSubsequence(reusedIndices).map((i) => reusedPositions[i]));
+
+		let next = null;
+		for (let i = nextNodes.length - 1; i >= 0; i--) {
+			const node = nextNodes[i];
+			if (!stable.has(i)) {
+				element.insertBefore(node, next);
+			}
+			next = node;
+		}
+	};
+
+	/**
+	 * Removes all of the children in each DOM element in the SelectionGroup, and
+	 * then, using the provided array of data, fills them with children generated
+	 * from the provided array.
+	 * If a non-truthy value is returned for an array element, it is not added.
+	 * The generator can return anything append() accepts (an element, an HTML string, an array of nodes, etc.).
+	 * Each generated child element has its array element stored as its "model" data (see data() and DOMJunk.data()).
+	 * 
+	 * If a key is provided in the options, the existing children are reconciled with the array instead:
+	 * children generated by a previous keyed call whose keys are still in the array are kept (and moved 
+	 * into the new order), elements are only generated for new keys, and children for missing keys are removed.
+	 * This preserves focus, scroll position, and other element state on reused children.
+	 * In keyed mode, the generator must return exactly one element per array element (a node, or an HTML string
+	 * with a single root element), since each key is tracked on a single child - otherwise an error is thrown.
+	 * @param {Array} arr the array of objects. Can be an object - they are both iterated on.
+	 * @param {Function} generatorFunc the element generator function. 
+	 * 		First parameter is the array element to use, second is the array/map key.
+	 * @param {Object} options (optional) the keyed mode options:
+	 * 		key (string | Function): the member name on each array element to use as its key, 
+	 * 			or a function that takes the array element and array/map key and returns its key.
+	 * 		update (Function): if provided, called for each reused child. 
+	 * 			First parameter is the child element, second is the array element, third is the array/map key.
+	 */
+	const $refillList = function(arr, generatorFunc, options) {
+		if (options && !isUndefined(options.key) && !isNull(options.key)) {
+			refillListKeyed(this, arr, generatorFunc, options);
+			return;
+		}
+		const elements = [];
+		each(arr, (v, k) => {
+			const gen = generatorFunc(v, k);
+			if (gen) {
+				each(toInsertNodes(gen), (node) => {
+					if (node.nodeType === Node.ELEMENT_NODE) {
+						getDataStore(node, true).model = v;
+					}
+					elements.push(node);
+				});
+			}
+		});
+		(new SelectionGroup(this, true)).clear().append(elements);
+	};
+
+	/**
+	 * Gets/Sets the inner HTML.
+	 * If HTML is provided, the inner HTML is set.
+	 * If it is undefined, this will return the inner HTML of the first DOM element in the SelectionGroup.
+	 * @param {string} data HTML data to set.
+	 */
+	const $html = function(data) {
+		if (isUndefined(data)) {
+			return this.innerHTML;
+		}
+		else {
+			this.innerHTML = data;
+		}
+	};
+
+	/**
+	 * Gets/Sets the inner text.
+	 * If text is provided, the inner HTML is set to the text. Special characters will be converted to entities.
+	 * If it is undefined, this will return the inner text of the first DOM element in the SelectionGroup.
+	 * @param {string} data HTML data to set.
+	 */
+	const $text = function(text) {
+		if (isUndefined(text)) {
+			return this.innerText;
+		}
+		else {
+			this.innerHTML = HTML_ESCAPE(text);
+		}
+	};
+
+	/********************************************************************/
+
+	/**
+	 * Sets a member on each element of the SelectionGroup to a value.
+	 * @param {string} memberName the member name.
+	 * @param {*} value the value.
+	 */
+	const $set = function(memberName, value) {
+		this[memberName] = value;
+	};
+	
+	/**
+	 * Merges several members into each object's members in the SelectionGroup.
+	 * @param {object} memberMap the mapping of member names to values.
+	 */
+	const $merge = function(memberMap) {
+		each(memberMap, (v, k) => {
+			this[k] = v;
+		});
+	};
+
+	/********************************************************************/
+
+	// Element -> data object for data().
+	const DATASTORE = new WeakMap();
+
+	// Gets (and optionally creates) an element's data object.
+	const getDataStore = function(element, create) {
+		let store = DATASTORE.get(element);
+		if (!store && create) {
+			store = {};
+			DATASTORE.set(element, store);
+		}
+		return store;
+	};
+
+	// "user-id" -> "userId"
+	const toCamelCase = function(name) {
+		return name.replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+	};
+
+	// Parses a 'data-*' attribute value into a boolean, null, number, JSON object/array, or string.
+	const parseDataAttribute = function(value) {
+		if (value === 'true') {
+			return true;
+		}
+		else if (value === 'false') {
+			return false;
+		}
+		else if (value === 'null') {
+			return null;
+		}
+		else if (value.trim().length > 0 && String(Number(value)) === value) {
+			return Number(value);
+		}
+		else if (/^\s*[{[]/.test(value)) {
+			try {
+				return JSON.parse(value);
+			} catch (err) {
+				return value;
+			}
+		}
+		else {
+			return value;
+		}
+	};
+
+	// Reads an element's data value: stored first, then its 'data-*' attribute. Returns undefined if neither.
+	const readData = function(element, key) {
+		const store = getDataStore(element, false);
+		if (store && Object.prototype.hasOwnProperty.call(store, key)) {
+			return store[key];
+		}
+		const attr = element.dataset ? element.dataset[toCamelCase(key)] : undefined;
+		return isUndefined(attr) ? undefined : parseDataAttribute(attr);
+	};
+
+	/**
+	 * Gets/Sets arbitrary data on each element in the SelectionGroup, or fetches it from the first.
+	 * Data is kept apart from the element (it is never written to the element or its attributes), and is released with the element.
+	 * If input is undefined, this will return an object of all of the first element's data ('data-*' attributes and stored data).
+	 * If input is a key and value is undefined, this will return the first element's value for that key.
+	 * 		If no value was stored for the key, the corresponding 'data-*' attribute is read and converted 
+	 * 		to a boolean, null, number, object/array (from JSON), or string. If there is none, null is returned.
+	 * If input is a key and value is provided, this sets the value on each element.
+	 * If input is an object, this sets each key/value on each element.
+	 * @param {*} input the key (camelCase or dashed, as in 'data-*' attributes), or object of keys and values.
+	 * @param {*} value (optional) the value to set.
+	 */
+	const $data = function(input, value) {
+		if (isUndefined(input)) {
+			const out = {};
+			if (this.dataset) {
+				each(this.dataset, (v, k) => {
+					out[k] = parseDataAttribute(v);
+				});
+			}
+			return { ...out, ...getDataStore(this, false) };
+		}
+		else if (isObject(input)) {
+			const store = getDataStore(this, true);
+			each(input, (v, k) => {
+				store[toCamelCase(k)] = v;
+			});
+		}
+		else if (isUndefined(value)) {
+			const out = readData(this, toCamelCase(input));
+			return isUndefined(out) ? null : out;
+		}
+		else {
+			getDataStore(this, true)[toCamelCase(input)] = value;
+		}
+	};
+
+	/**
+	 * Removes stored data from each element in the SelectionGroup ('data-*' attributes are not changed).
+	 * @param {*} keys (optional) the key, several keys separated by spaces, or an array of keys to remove. 
+	 * 		If not provided, all stored data is removed.
+	 */
+	const $removeData = function(keys) {
+		if (isUndefined(keys) || isNull(keys)) {
+			DATASTORE.delete(this);
+			return;
+		}
+		const store = getDataStore(this, false);
+		if (store) {
+			each(isArray(keys) ? keys : keys.trim().split(/\s+/), (k) => {
+				delete store[toCamelCase(k)];
+			});
+		}
+	};
+
+	// Drops stored data when an element is removed via remove().
+	CLEANUPFUNCS.push((element) => {
+		DATASTORE.delete(element);
+	});
+
+	// Copies stored data (shallowly) when an element is copied via clone(deep, true).
+	CLONEFUNCS.push((source, copy) => {
+		const store = getDataStore(source, false);
+		if (store) {
+			DATASTORE.set(copy, { ...store });
+		}
+	});
+
+	/********************************************************************/
+
+	/**
+	 * Merges a set of CSS attributes into each element's local style in the SelectionGroup, or fetches them from the first.
+	 * If input is undefined, this will return a copied object of this element's local styles.
+	 * If input is an array of CSS attribute names, this will return an object of this element's corresponding local style values.
+	 * If input is a CSS attribute name, this will return this element's corresponding local style values.
+	 * If input is an object, this sets each element's local style values to the provided CSS attribute names and values.
+	 * @param {*} input the input value.
+	 */
+	const $style = function(input) {
+		if (isUndefined(input)) {
+			return { ...this.style };
+		}
+		else if (isArray(input)) {
+			let out = {};
+			each(input, (s) => {
+				out[s] = this.style[s];
+			});
+			return out;
+		}
+		else if (isObject(input)) {
+			each(input, (v, k) => {
+				this.style[k] = v;
+			});
+		}
+		else {
+			return this.style[input];
+		}
+	};
+
+	/**
+	 * Merges a set of DOM attributes into each element's attributes in the SelectionGroup, or fetches them from the first.
+	 * If input is undefined, this will return an object of this element's attribute values.
+	 * If input is an array of attribute names, this will return an object of this element's corresponding attribute values.
+	 * If input is an attribute name, this will return this element's corresponding attribute value.
+	 * If input is an object, this sets each element's attributes to the provided corresponding values.
+	 * @param {*} input the input value.
+	 */
+	const $attr = function(input) {
+		if (isUndefined(input)) {
+			let out = {};
+			const names = this.getAttributeNames();
+			for (let i = 0; i < names.length; i++) {
+				out[names[i]] = this.getAttribute(names[i]);
+			}
+			return out;
+		}
+		else if (isArray(input)) {
+			let out = {};
+			each(input, (a) => {
+				out[a] = this.getAttribute(a);
+			});
+			return out;
+		}
+		else if (isObject(input)) {
+			each(input, (v, k) => {
+				this.setAttribute(k, v);
+			});
+		}
+		else {
+			return this.getAttribute(input);
+		}
+	};
+
+	/**
+	 * Adds a set of CSS classes to each element in the SelectionGroup.
+	 * @param {string} classNames... the vararg list of class names to add to each element.
+	 */
+	const $classAdd = function(/* classNames... */) {
+		const classNames = arguments;
+		const classes = this.className.trim().length > 0 ? this.className.split(/\s+/) : [];
+		const classSet = fold({}, (obj) => {
+			classes.map((c) => {obj[c] = true;});
+		});
+		for (let i = 0; i < classNames.length; i++) {
+			if (!classSet[classNames[i]]) {
+				classes.push(classNames[i]);
+			}
+		}
+		this.className = classes.join(" ");
+	};
+
+	/**
+	 * Removes a set of CSS classes from each element in the SelectionGroup.
+	 * @param {string} classNames... the vararg list of class names to remove from each element.
+	 */
+	const $classRemove = function(/* classNames... */) {
+		const classNames = arguments;
+		const classes = this.className.trim().length > 0 ? this.className.split(/\s+/) : [];
+		const remset = {};
+		for (let i = 0; i < classNames.length; i++) {
+			remset[classNames[i]] = true;
+		}
+		const out = [];
+		each(classes, (c) => {
+			if (!remset[c]) {
+				out.push(c);
+			}
+		});
+		if (isBlank(out))
+			this.removeAttribute('class');
+		else
+			this.className = out.join(" ");
+	};
+
+	/**
+	 * Toggles the presence of a set of CSS classes in each element in the SelectionGroup.
+	 * If the class exists, it is removed, and if the class does not exist, it is added.
+	 * @param {string} classNames... the vararg list of class names to toggle in each element.
+	 */
+	const $classToggle = function(/* classNames... */) {
+		const classNames = arguments;
+		const classes = this.className.trim().length > 0 ? this.className.split(/\s+/) : [];
+		const classSet = fold({}, (obj) => {
+			classes.map((c) => {obj[c] = true;});
+		});
+		const argSet = fold({}, (obj) => {
+			each(classNames, (c) => {
+				obj[c] = true;
+			});
+		});
+		
+		const out = [];
+
+		for (let i = 0; i < classes.length; i++) {
+			const name = classes[i];
+			if (!argSet[name]) {
+				out.push(name);
+			}
+		}
+		for (let i = 0; i < classNames.length; i++) {
+			const name = classNames[i];
+			if (!classSet[name]) {
+				out.push(name);
+			}
+		}
+
+		if (isBlank(out))
+			this.removeAttribute('class');
+		else
+			this.className = out.join(" ");
+	};
+
+	/********************************************************************/
+
+	// Gets the value of a group of same-named fields: 
+	// checkbox groups and multiple selects become arrays, radio groups become the checked value.
+	const getFieldsValue = function(fields) {
+		const first = fields[0];
+		const type = (first.getAttribute('type') || '').toLowerCase();
+		if (type === 'checkbox') {
+			const checked = fields.filter((f) => f.checked).map((f) => f.value);
+			return fields.length === 1 ? (checked.length > 0 ? checked[0] : null) : checked;
+		}
+		else if (type === 'radio') {
+			const checked = fields.filter((f) => f.checked);
+			return checked.length > 0 ? checked[0].value : null;
+		}
+		else if (first.tagName === 'SELECT' && first.multiple) {
+			return [ ...first.options].filter((o) => o.selected).map((o) => o.value);
+		}
+		else if (fields.length > 1) {
+			return fields.map((f) => f.value);
+		}
+		else {
+			return first.value;
+		}
+	};
+
+	// Input types that are never serialized.
+	const FORM_SKIPTYPES = { 'button': true, 'submit': true, 'reset': true, 'image': true };
+
+	// Field name segments that would reach into object prototypes.
+	const FORM_UNSAFESEGMENTS = /^(__proto__|constructor|prototype)$/;
+
+	// Splits a field name into its path segments: 
+	// "user[address][city]" and "user.address.city" become ["user", "address", "city"], and "tags[]" becomes ["tags", ""].
+	// Returns null for names with a segment that would reach into object prototypes ("__proto__", "constructor", "prototype").
+	const parseFieldName = function(name) {
+		const segments = [];
+		const regex = /([^.[\]]+)|\[([^\]]*)\]/g;
+		let match;
+		while ((match = regex.exec(name)) !== null) {
+			const segment = isUndefined(match[1]) ? match[2] : match[1];
+			if (FORM_UNSAFESEGMENTS.test(segment)) {
+				return null;
+			}
+			segments.push(segment);
+		}
+		return segments;
+	};
+
+	// Sets a value in an object along a field path, building nested objects and arrays as needed.
+	// An empty segment ("tags[]") appends to an array, and repeated names collect into an array.
+	const setFieldPath = function(target, segments, value) {
+		let container = target;
+		for (let i = 0; i < segments.length - 1; i++) {
+			const key = segments[i];
+			const nextKey = segments[i + 1];
+			let child = key === '' ? undefined : container[key];
+			if (!isArray(child) && !isObject(child)) {
+				child = (nextKey === '' || /^\d+$/.test(nextKey)) ? [] : {};
+				if (key === '')
+					container.push(child);
+				else
+					container[key] = child;
+			}
+			container = child;
+		}
+
+		const lastKey = segments[segments.length - 1];
+		if (lastKey === '' && isArray(container)) {
+			container.push(...(isArray(value) ? value : [value]));
+		}
+		else if (!Object.prototype.hasOwnProperty.call(container, lastKey)) {
+			container[lastKey] = value;
+		}
+		else if (isArray(container[lastKey])) {
+			container[lastKey].push(...(isArray(value) ? value : [value]));
+		}
+		else {
+			container[lastKey] = [container[lastKey]].concat(value);
+		}
+	};
+
+	// Gets a value from an object along a field path. An exact member match for the whole name is tried first.
+	// Returns an object with a "value" member if found, or null if not.
+	const getFieldPath = function(source, name) {
+		if (Object.prototype.hasOwnProperty.call(source, name)) {
+			return { value: source[name] };
+		}
+		const segments = parseFieldName(name);
+		if (!segments) {
+			return null;
+		}
+		let result = source;
+		for (let i = 0; i < segments.length; i++) {
+			if (segments[i] === '' && i === segments.length - 1) {
+				break;
+			}
+			if (isUndefined(result) || isNull(result) || !Object.prototype.hasOwnProperty.call(Object(result), segments[i])) {
+				return null;
+			}
+			result = result[segments[i]];
+		}
+		return { value: result };
+	};
+
+	// Converts a field value string to the type named in a field's 'data-type' attribute.
+	const coerceFieldValue = function(value, type) {
+		if (type === 'number') {
+			const n = parseFloat(value);
+			return isNaN(n) ? null : n;
+		}
+		else if (type === 'boolean') {
+			return value === true || (isString(value) && /^(true|on|yes|1)$/i.test(value));
+		}
+		else if (type === 'date') {
+			const ymd = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+			// Date-only strings are parsed as local dates, like the rest.
+			return ymd ? new Date(parseInt(ymd[1], 10), parseInt(ymd[2], 10) - 1, parseInt(ymd[3], 10)) : new Date(value);
+		}
+		else if (type === 'json') {
+			// Text that is not valid JSON (like a half-typed value) is kept as-is.
+			try {
+				return JSON.parse(value);
+			} catch (err) {
+				return value;
+			}
+		}
+		else {
+			return value;
+		}
+	};
+
+	/**
+	 * Scrapes a form element for its values and returns an object of the name-value pairings of the form fields.
+	 * Unnamed, disabled, or unchecked form elements, buttons, and empty values are not scraped.
+	 * 
+	 * Field names describe where values go in the returned object:
+	 * 		"user[address][city]" or "user.address.city" build nested objects.
+	 * 		"tags[]" always yields an array, even with one value.
+	 * 		Several fields with the same name (like checkbox groups) yield an array.
+	 * 		Multiple selects always yield an array of the selected values.
+	 * Names with a "__proto__", "constructor", or "prototype" part are ignored (with a warning).
+	 * A field's 'data-type' attribute converts its values: "number", "boolean", "date" (Date object), or "json"
+	 * (text that is not valid JSON is kept as text).
+	 * Boolean checkboxes yield true or false for checked/unchecked.
+	 * File inputs are only scraped when producing FormData.
+	 * @param {*} options (optional) if a function, this is the callback. Else, an object of options:
+	 * 		as (string): "object" for an object, or "FormData" for a FormData object (field names are kept as-is, 
+	 * 			values are not converted, and files from file inputs are included). Default: "object".
+	 * 		callback (Function): if provided, call this function with one argument: the data returned.
+	 * @returns an object of the name/value pairings of the form fields (or FormData), 
+	 * 		or the pass-through selection group if a callback was provided.
+	 */
+	const $form = function(options) {
+		
+		const opt = isCallable(options) 
+			? { callback: options } 
+			: { as: 'object', ...options };
+		const callback = opt.callback;
+
+		if (!isUndefined(callback) && !isCallable(callback)) {
+			throw new Error("Callback function for formData must be a function!");
+		}
+		
+		const asFormData = opt.as === 'FormData';
+		const formData = asFormData ? new FormData() : {};
+
+		const GATHERFUNC = function() {
+			const memberName = this.getAttribute('name');
+			if (!memberName || this.disabled) {
+				return;
+			}
+			const t = (this.getAttribute('type') || '').toLowerCase();
+			if (this.tagName === 'INPUT' && FORM_SKIPTYPES[t]) {
+				return;
+			}
+
+			if (asFormData) {
+				if (t === 'file') {
+					for (let i = 0; i < this.files.length; i++) {
+						formData.append(memberName, this.files[i]);
+					}
+				}
+				else if (this.tagName === 'SELECT' && this.multiple) {
+					each(getFieldsValue([this]), (v) => {
+						formData.append(memberName, v);
+					});
+				}
+				else if (!(t === 'checkbox' || t === 'radio') || this.checked) {
+					formData.append(memberName, this.value);
+				}
+				return;
+			}
+
+			if (t === 'file') {
+				return;
+			}
+
+			const dataType = this.getAttribute('data-type');
+			let v;
+			if (this.tagName === 'SELECT' && this.multiple) {
+				v = getFieldsValue([this]);
+				if (dataType) {
+					v = v.map((x) => coerceFieldValue(x, dataType));
+				}
+			}
+			else if (t === 'checkbox' && dataType === 'boolean') {
+				v = this.checked;
+			}
+			else {
+				v = (t === 'checkbox' || t === 'radio') 
+					? this.checked && this.value
+					: this.value;
+				if (!v) {
+					return;
+				}
+				if (dataType) {
+					v = coerceFieldValue(v, dataType);
+				}
+			}
+			const segments = parseFieldName(memberName);
+			if (!segments) {
+				console.warn('DOMJunk: Ignoring form field with unsafe name: ' + memberName);
+				return;
+			}
+			setFieldPath(formData, segments, v);
+		};
+
+		for (let i = 0; i < this.length; i++) {
+			(new SelectionGroup(this[i], true)).search('input, textarea, select').each(GATHERFUNC);
+		}
+
+		if (callback) {
+			callback(formData);
+			return this;
+		}
+		else {
+			return formData;
+		}
+	};
+
+	// Input types that formFill() does not set.
+	const FORMFILL_SKIPTYPES = { 'button': true, 'submit': true, 'reset': true, 'image': true, 'file': true };
+
+	// Date formats for date/time input types.
+	const FORMFILL_DATEFORMATS = {
+		'date': 'yyyy-MM-dd',
+		'datetime-local': 'yyyy-MM-ddTHH:mm:ss',
+		'month': 'yyyy-MM',
+		'time': 'HH:mm:ss'
+	};
+
+	// Converts a data value to a form field value string.
+	const toFieldValue = function(value, type) {
+		if (isUndefined(value) || isNull(value)) {
+			return '';
+		}
+		else if (value instanceof Date) {
+			return FORMFILL_DATEFORMATS[type] ? formatDatePattern(value, FORMFILL_DATEFORMATS[type]) : value.toISOString();
+		}
+		else {
+			return String(value);
+		}
+	};
+
+	// Sets a single form field from a value. Returns true if the field changed.
+	// The index is the field's position among fields of the same name, used for arrays of values on text-like fields.
+	const fillField = function(field, value, index) {
+		const tag = field.tagName;
+		const type = (field.getAttribute('type') || '').toLowerCase();
+		const values = isArray(value) ? value : [value];
+
+		if (tag === 'INPUT' && FORMFILL_SKIPTYPES[type]) {
+			return false;
+		}
+		else if (tag === 'INPUT' && (type === 'checkbox' || type === 'radio')) {
+			const checked = isBoolean(value) 
+				? value 
+				: values.some((v) => !isUndefined(v) && !isNull(v) && toFieldValue(v, type) === field.value);
+			if (field.checked === checked) {
+				return false;
+			}
+			field.checked = checked;
+			return true;
+		}
+		else if (tag === 'SELECT' && field.multiple) {
+			const selected = values.map((v) => toFieldValue(v));
+			let changed = false;
+			for (let i = 0; i < field.options.length; i++) {
+				const option = field.options[i];
+				const isSelected = selected.indexOf(option.value) >= 0;
+				if (option.selected !== isSelected) {
+					option.selected = isSelected;
+					changed = true;
+				}
+			}
+			return changed;
+		}
+		else {
+			const fieldValue = toFieldValue(isArray(value) ? value[index] : value, type);
+			if (field.value === fieldValue) {
+				return false;
+			}
+			field.value = fieldValue;
+			return true;
+		}
+	};
+
+	/**
+	 * Fills the fields of each form element in the SelectionGroup with the values in an object.
+	 * This is the inverse of form(): fields are matched to object members by their 'name' attribute, 
+	 * 		including nested names like "user[address][city]" or "user.address.city".
+	 * 		Text-like inputs, textareas, and single selects are set to the value (an array sets same-named fields in order).
+	 * 		Date/time inputs accept Date objects.
+	 * 		Checkboxes and radios are checked if their value is the value or in an array of values 
+	 * 			(a lone checkbox can also take a boolean).
+	 * 		Multiple selects select every option whose value is in an array of values.
+	 * 		File inputs and buttons are not changed.
+	 * Each field that changes fires an "input" and a "change" event, so that listeners stay in sync.
+	 * @param {Object} data the object of name/value pairings.
+	 * @param {Object} options (optional) the fill options:
+	 * 		clearMissing (boolean): if true, fields that have no corresponding member in the data are cleared/unchecked. Default: false.
+	 * @returns {SelectionGroup} the pass-through selection group.
+	 */
+	const $formFill = function(data, options) {
+		const opt = { clearMissing: false, ...options };
+		data = data || {};
+
+		// Field name -> how many fields with that name were filled so far, in the current form.
+		let indexMap;
+		const changed = [];
+
+		const FILLFUNC = function() {
+			const memberName = this.getAttribute('name');
+			if (!memberName) {
+				return;
+			}
+			const index = indexMap[memberName] || 0;
+			indexMap[memberName] = index + 1;
+
+			const found = getFieldPath(data, memberName);
+			if (found) {
+				if (fillField(this, found.value, index)) {
+					changed.push(this);
+				}
+			}
+			else if (opt.clearMissing) {
+				if (fillField(this, null, index)) {
+					changed.push(this);
+				}
+			}
+		};
+
+		for (let i = 0; i < this.length; i++) {
+			indexMap = {};
+			(new SelectionGroup(this[i], true)).search('input, textarea, select').each(FILLFUNC);
+		}
+
+		const changedGroup = new SelectionGroup(changed);
+		changedGroup.trigger('input', undefined, { cancelable: false });
+		changedGroup.trigger('change', undefined, { cancelable: false });
+		return this;
+	};
+
+	// Named validators (name -> {func, message}).
+	const VALIDATORS = Object.create(null);
+
+	const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+	const URL_REGEX = /^[a-z][a-z0-9+.-]*:\/\/[^\s]+$/i;
+
+	// Returns true if a field value is considered empty (undefined, null, empty string, or empty array).
+	const isEmptyFieldValue = function(value) {
+		return isUndefined(value) || isNull(value) || (isString(value) && value.trim().length === 0) || (isArray(value) && value.length === 0);
+	};
+
+	// Splits a rule string on each "|" that is not escaped as "\|", and unescapes the "\|" in each part.
+	const splitValidationRules = function(rule) {
+		const out = [];
+		let part = '';
+		for (let i = 0; i < rule.length; i++) {
+			const c = rule.charAt(i);
+			if (c === '\\' && rule.charAt(i + 1) === '|') {
+				part += '|';
+				i++;
+			}
+			else if (c === '|') {
+				out.push(part);
+				part = '';
+			}
+			else {
+				part += c;
+			}
+		}
+		out.push(part);
+		return out;
+	};
+
+	// Parses validation rules into a list of {name, args, func}.
+	// Rules can be a string ("required|email|min:3"), a function, a RegExp (a pattern rule), or an array of those.
+	// A "|" inside a rule string can be escaped as "\|" (for example, data-validate="pattern:a\|b").
+	const parseValidationRules = function(rules) {
+		const out = [];
+		const _PARSE = (rule) => {
+			if (isCallable(rule)) {
+				out.push({ name: null, args: [], func: rule });
+			}
+			else if (rule instanceof RegExp) {
+				out.push({ name: 'pattern', args: [rule], func: VALIDATORS.pattern.func });
+			}
+			else if (isString(rule)) {
+				each(splitValidationRules(rule), (part) => {
+					part = part.trim();
+					if (part.length === 0) {
+						return;
+					}
+					const colonIndex = part.indexOf(':');
+					const name = colonIndex >= 0 ? part.substring(0, colonIndex) : part;
+					const args = colonIndex >= 0 ? part.substring(colonIndex + 1).split(',') : [];
+					if (!VALIDATORS[name]) {
+						throw new Error('Unknown validator: ' + name);
+					}
+					out.push({ name: name, args: args, func: VALIDATORS[name].func });
+				});
+			}
+		};
+		if (isArray(rules)) {
+			each(rules, _PARSE);
+		}
+		else {
+			_PARSE(rules);
+		}
+		return out;
+	};
+
+	// Turns a validator result into an error message, or null if valid.
+	const getValidationMessage = function(result, rule, messages) {
+		if (isUndefined(result) || isNull(result) || result === true) {
+			return null;
+		}
+		let message;
+		if (rule.name && messages[rule.name]) {
+			message = messages[rule.name];
+		}
+		else if (isString(result)) {
+			message = result;
+		}
+		else if (rule.name && VALIDATORS[rule.name].message) {
+			message = VALIDATORS[rule.name].message;
+		}
+		else {
+			message = 'This field is invalid.';
+		}
+		return message.replace(/{(\d+)}/g, (m, i) => isUndefined(rule.args[i]) ? m : rule.args[i]);
+	};
+
+	const validateRequired = function(value) {
+		return !isEmptyFieldValue(value);
+	};
+
+	const validateEmail = function(value) {
+		return (isArray(value) ? value : [value]).every((v) => EMAIL_REGEX.test(v));
+	};
+
+	const validateURL = function(value) {
+		return (isArray(value) ? value : [value]).every((v) => URL_REGEX.test(v));
+	};
+
+	const validateNumber = function(value) {
+		return !isNaN(value) && !isNaN(parseFloat(value));
+	};
+
+	const validateInteger = function(value) {
+		return /^[-+]?\d+$/.test(value);
+	};
+
+	const validateMin = function(value, args, field) {
+		const min = parseFloat(args[0]);
+		const type = (field.getAttribute('type') || '').toLowerCase();
+		if (isArray(value)) {
+			return value.length >= min || ('Please select at least ' + args[0] + '.');
+		}
+		else if (type === 'number' || type === 'range') {
+			return parseFloat(value) >= min || ('Must be at least ' + args[0] + '.');
+		}
+		else {
+			return value.length >= min || ('Must be at least ' + args[0] + ' characters.');
+		}
+	};
+
+	const validateMax = function(value, args, field) {
+		const max = parseFloat(args[0]);
+		const type = (field.getAttribute('type') || '').toLowerCase();
+		if (isArray(value)) {
+			return value.length <= max || ('Please select at most ' + args[0] + '.');
+		}
+		else if (type === 'number' || type === 'range') {
+			return parseFloat(value) <= max || ('Must be at most ' + args[0] + '.');
+		}
+		else {
+			return value.length <= max || ('Must be at most ' + args[0] + ' characters.');
+		}
+	};
+
+	const validatePattern = function(value, args) {
+		if (args[0] instanceof RegExp) {
+			args[0].lastIndex = 0;
+			return args[0].test(value);
+		}
+		return (new RegExp('^(?:' + args.join(',') + ')$')).test(value);
+	};
+
+	const validateMatches = function(value, args, field, form) {
+		const other = form.search('[name="' + args[0] + '"]', true);
+		return other.length > 0 && other[0].value === value;
+	};
+
+	/**
+	 * Validates the fields of each form element in the SelectionGroup.
+	 * Each named, enabled field is checked against: 
+	 * 		its browser constraints (required, type, pattern, min, max, etc.) via the constraint validation API,
+	 * 		the rules in its 'data-validate' attribute (for example, data-validate="required|email|min:3"),
+	 * 		and the rules passed in for its name.
+	 * Rules are separated by "|" (escape a literal "|" as "\|"), and arguments follow the validator name after ":" (separated by ","). 
+	 * Validators are registered via DOMJunk.validator() - built in are: required, email, url, number, integer, 
+	 * min:n and max:n (string length, number value, or amount of selected values), pattern:regex, and matches:otherFieldName.
+	 * If a field is empty, only its "required" rules are checked.
+	 * 
+	 * If rendering, fields with errors get an invalid class and 'aria-invalid', and elements in the form with a 
+	 * 'data-error-for' attribute set to the field name get the field's first error message as their text.
+	 * @param {Object} rules (optional) a map of field name to rules: a string of validator names, 
+	 * 		a validator function, a RegExp the value must match, or an array of those. 
+	 * 		If a validator throws or its Promise rejects, the returned Promise rejects. 
+	 * 		Validator functions take (value, args, field, formSelection) and return true (or undefined) if valid, 
+	 * 		false or an error message string if invalid, or a Promise that resolves to one of those.
+	 * @param {Object} options (optional) the validation options:
+	 * 		native (boolean): if true, include browser constraint validation. Default: true.
+	 * 		render (boolean): if true, render the errors into the form. Default: true.
+	 * 		invalidClass (string): the class to add to invalid fields. Default: "invalid".
+	 * 		messages (Object): a map of validator name to message, overriding the default messages. 
+	 * 			"{0}", "{1}", etc. are replaced with the validator arguments.
+	 * @returns {Promise} a Promise that resolves to the result object:
+	 * 		valid (boolean): true if there were no errors.
+	 * 		errors (Object): a map of field name to array of error messages (only for fields with errors).
+	 * 		data (Object): the form data, as returned by form().
+	 */
+	const $formValidate = function(rules, options) {
+		const opt = { native: true, render: true, invalidClass: 'invalid', messages: {}, ...options };
+		rules = rules || {};
+
+		const fieldMap = {};
+		const ruleMap = {};
+		const GATHERFUNC = function() {
+			const memberName = this.getAttribute('name');
+			if (!!memberName && !this.disabled) {
+				(fieldMap[memberName] = fieldMap[memberName] || []).push(this);
+				const attrRules = this.getAttribute('data-validate');
+				if (attrRules && !ruleMap[memberName]) {
+					ruleMap[memberName] = parseValidationRules(attrRules);
+				}
+			}
+		};
+		for (let i = 0; i < this.length; i++) {
+			(new SelectionGroup(this[i], true)).search('input, textarea, select').each(GATHERFUNC);
+		}
+		each(rules, (r, name) => {
+			ruleMap[name] = (ruleMap[name] || []).concat(parseValidationRules(r));
+		});
+
+		const pending = [];
+		each(fieldMap, (fields, name) => {
+			const value = getFieldsValue(fields);
+			const fieldRules = ruleMap[name] || [];
+			const nativeMessages = [];
+			if (opt.native) {
+				each(fields, (field) => {
+					if (field.willValidate && !field.checkValidity() && nativeMessages.indexOf(field.validationMessage) < 0) {
+						nativeMessages.push(field.validationMessage);
+					}
+				});
+			}
+
+			// Empty fields are only checked for being required.
+			const checkedRules = isEmptyFieldValue(value) ? fieldRules.filter((rule) => rule.name === 'required') : fieldRules;
+			const results = checkedRules.map((rule) => 
+				Promise.resolve().then(() => rule.func(value, rule.args, fields[0], this)).then((result) => getValidationMessage(result, rule, opt.messages))
+			);
+			pending.push(Promise.all(results).then((messages) => ({
+				name: name,
+				fields: fields,
+				messages: nativeMessages.concat(messages.filter((m) => !isNull(m)))
+			})));
+		});
+
+		return Promise.all(pending).then((fieldResults) => {
+			const result = { valid: true, errors: {}, data: this.form() };
+			each(fieldResults, (fieldResult) => {
+				const invalid = fieldResult.messages.length > 0;
+				if (invalid) {
+					result.valid = false;
+					result.errors[fieldResult.name] = fieldResult.messages;
+				}
+				if (opt.render) {
+					const fieldGroup = new SelectionGroup(fieldResult.fields);
+					if (invalid) {
+						fieldGroup.classAdd(opt.invalidClass).attr({ 'aria-invalid': 'true' });
+					}
+					else {
+						fieldGroup.classRemove(opt.invalidClass).each(function() { this.removeAttribute('aria-invalid'); });
+					}
+					for (let i = 0; i < this.length; i++) {
+						(new SelectionGroup(this[i], true))
+							.search('[data-error-for="' + fieldResult.name + '"]')
+							.text(invalid ? fieldResult.messages[0] : '');
+					}
+				}
+			});
+			return result;
+		});
+	};
+
+	/********************************************************************/
+
+	// Element -> list of handler records attached via DOMJunk.
+	const EVENTREGISTRY = new WeakMap();
+
+	// Splits "click.menu.main keyup" into [{type: 'click', namespaces: ['menu', 'main']}, {type: 'keyup', namespaces: []}].
+	const parseEventNames = function(eventNames) {
+		const out = [];
+		each(eventNames.trim().split(/\s+/), (name) => {
+			const parts = name.split('.');
+			out.push({
+				type: parts[0],
+				namespaces: parts.slice(1).filter((n) => n.length > 0)
+			});
+		});
+		return out;
+	};
+
+	// Returns true if a handler record matches a parsed event name (empty type or namespaces match anything).
+	const eventRecordMatches = function(record, parsed, selector, func) {
+		if (parsed.type && record.type !== parsed.type)
+			return false;
+		for (let i = 0; i < parsed.namespaces.length; i++) {
+			if (record.namespaces.indexOf(parsed.namespaces[i]) < 0)
+				return false;
+		}
+		if (!isUndefined(selector) && !isNull(selector) && record.selector !== selector)
+			return false;
+		if (!isUndefined(func) && !isNull(func) && record.func !== func)
+			return false;
+		return true;
+	};
+
+	// Creates the actual listener for a handler - delegated if a selector is provided.
+	const createEventListener = function(element, selector, func) {
+		if (!selector) {
+			return func;
+		}
+		return function(event) {
+			let target = event.target;
+			while (target && target !== element) {
+				if (matches(target, selector)) {
+					return func.call(target, event);
+				}
+				target = target.parentNode;
+			}
+		};
+	};
+
+	/**
+	 * Attaches a function to a DOM element event handler.
+	 * The function should take a single parameter: the event that triggered this.
+	 * The event name can carry one or more namespaces separated by dots (for example, "click.menu"),
+	 * and several event names can be separated by spaces.
+	 * If a selector is provided, the handler is delegated: it is only called when the event originates 
+	 * from a descendant of the element that matches the selector (the matching element becomes "this"), 
+	 * so it also handles descendants added later.
+	 * @param {string} eventName the event name (for example, "mouseenter", "click", "click.menu", etc.).
+	 * @param {string} selector (optional) the selector for delegated descendants.
+	 * @param {Function} func the function to attach.
+	 */
+	const $attach = function(eventName, selector, func) {
+		if (isCallable(selector)) {
+			func = selector;
+			selector = null;
+		}
+		let records = EVENTREGISTRY.get(this);
+		if (!records) {
+			records = [];
+			EVENTREGISTRY.set(this, records);
+		}
+		each(parseEventNames(eventName), (parsed) => {
+			const record = {
+				type: parsed.type,
+				namespaces: parsed.namespaces,
+				selector: selector || null,
+				func: func,
+				listener: createEventListener(this, selector, func)
+			};
+			records.push(record);
+			this.addEventListener(record.type, record.listener);
+		});
+	};
+
+	// Drops handlers attached via attach() when an element is removed via remove().
+	CLEANUPFUNCS.push((element) => {
+		if (EVENTREGISTRY.has(element)) {
+			$detach.call(element);
+			EVENTREGISTRY.delete(element);
+		}
+	});
+
+	// Copies handlers attached via attach() when an element is copied via clone(deep, true).
+	CLONEFUNCS.push((source, copy) => {
+		const records = EVENTREGISTRY.get(source);
+		if (records) {
+			each(records, (record) => {
+				const name = [record.type, ...record.namespaces].join('.');
+				$attach.call(copy, name, record.selector, record.func);
+			});
+		}
+	});
+
+	/**
+	 * Detaches functions from a DOM element event handler that were attached via attach().
+	 * The event name can be just a namespace (for example, ".menu") to detach every handler in that namespace,
+	 * or an event name plus namespaces ("click.menu") to narrow it further.
+	 * If no function is provided, every matching handler is detached.
+	 * If nothing is provided, every handler attached via attach() is detached.
+	 * @param {string} eventName (optional) the event name (for example, "mouseenter", "click", ".menu", etc.).
+	 * @param {string} selector (optional) the delegate selector that the handler was attached with.
+	 * @param {Function} func (optional) the function to detach.
+	 */
+	const $detach = function(eventName, selector, func) {
+		if (isCallable(selector)) {
+			func = selector;
+			selector = null;
+		}
+		const records = EVENTREGISTRY.get(this) || [];
+		const parsedList = isUndefined(eventName) || isNull(eventName) 
+			? [{type: null, namespaces: []}] 
+			: parseEventNames(eventName);
+
+		each(parsedList, (parsed) => {
+			let found = false;
+			for (let i = records.length - 1; i >= 0; i--) {
+				const record = records[i];
+				if (eventRecordMatches(record, parsed, selector, func)) {
+					this.removeEventListener(record.type, record.listener);
+					records.splice(i, 1);
+					found = true;
+				}
+			}
+			// Not attached via DOMJunk - detach directly.
+			if (!found && parsed.type && func) {
+				this.removeEventListener(parsed.type, func);
+			}
+		});
+	};
+
+	/**
+	 * Dispatches a custom event on each element in the SelectionGroup.
+	 * Namespaces on the event name are ignored (for example, "click.menu" dispatches "click").
+	 * @param {string} eventName the event name.
+	 * @param {*} detail (optional) the data to pass along as the event's "detail".
+	 * @param {Object} options (optional) the event options:
+	 * 		bubbles (boolean): if true, the event bubbles. Default: true.
+	 * 		cancelable (boolean): if true, the event can be cancelled. Default: true.
+	 * @returns {boolean} true if any of the dispatched events were cancelled, false if not.
+	 */
+	const $trigger = function(eventName, detail, options) {
+		const opt = { bubbles: true, cancelable: true, ...options };
+		const type = eventName.split('.')[0];
+		let cancelled = false;
+		for (let i = 0; i < this.length; i++) {
+			const event = new CustomEvent(type, {
+				bubbles: !!opt.bubbles, 
+				cancelable: !!opt.cancelable, 
+				detail: detail
+			});
+			if (!this[i].dispatchEvent(event)) {
+				cancelled = true;
+			}
+		}
+		return cancelled;
+	};
+
+	/********************************************************************/
+
+	/**
+	 * Wraps a single element in the SelectionGroup in a new SelectionGroup.
+	 * @param {number} index the index of the selected element.
+	 * @returns {SelectionGroup} the new SelectionGroup of matching elements.
+	 */
+	const $get = function(index) {
+		return new SelectionGroup(this[index]);
+	};
+
+	/**
+	 * Wraps the first element in the SelectionGroup in a new SelectionGroup.
+	 * @returns {SelectionGroup} the new SelectionGroup.
+	 */
+	const $first = function() {
+		return new SelectionGroup(this[0]);
+	};
+
+	/**
+	 * Wraps the last element in the SelectionGroup in a new SelectionGroup.
+	 * @returns {SelectionGroup} the new SelectionGroup.
+	 */
+	const $last = function() {
+		return new SelectionGroup(this[this.length - 1]);
+	};
+
+	/**
+	 * Takes a single object where the keys are selector queries to run via .search() and
+	 * corresponding values are functions to call on the selection results via .each().
+	 * @param {Object} selectorMap the mapping of selector strings to functions.
+	 */
+	const $apply = function(selectorMap) {
+		each(selectorMap, (v, k) => {
+			this.search(k).each(v);
+		});
+		return this;
+	};
+
+	/**
+	 * Unwraps a query, returning every element in the query as-is.
+	 * @returns {Array} the array of elements. 
+	 */
+	const $elements = function() {
+		return [ ...this];
+	};
+
+	/********************************************************************/
+
+	// Element -> inline display value before hiding.
+	const DISPLAYCACHE = new WeakMap();
+
+	const isHidden = function(element) {
+		return CTX.getComputedStyle(element).display === 'none';
+	};
+
+	const hideElement = function(element) {
+		if (element.style.display !== 'none') {
+			DISPLAYCACHE.set(element, element.style.display);
+			element.style.display = 'none';
+		}
+	};
+
+	const showElement = function(element) {
+		if (element.style.display === 'none') {
+			element.style.display = DISPLAYCACHE.get(element) || '';
+			DISPLAYCACHE.delete(element);
+		}
+		// Hidden by a stylesheet.
+		if (isHidden(element)) {
+			element.style.display = 'block';
+		}
+	};
+
+	const nextFrame = function(func) {
+		return CTX.requestAnimationFrame ? CTX.requestAnimationFrame(func) : setTimeout(func, 16);
+	};
+
+	// Animates one element. Returns a Promise that resolves when the animation finishes or is cancelled.
+	const animateElement = function(element, keyframes, options) {
+		if (!isFunction(element.animate)) {
+			// No Web Animations API: jump to the end state if it is meant to stick.
+			if (options.fill === 'forwards' || options.fill === 'both') {
+				const last = isArray(keyframes) ? keyframes[keyframes.length - 1] : keyframes;
+				each(last, (v, k) => {
+					if (k !== 'offset' && k !== 'easing' && k !== 'composite') {
+						element.style[k] = isArray(v) ? v[v.length - 1] : v;
+					}
+				});
+			}
+			return Promise.resolve();
+		}
+		const animation = element.animate(keyframes, options);
+		return animation.finished.then(() => animation, () => animation);
+	};
+
+	// Parses a CSS time list ("0.3s, 200ms") into an array of milliseconds.
+	const parseCSSTimes = function(value) {
+		return (value || '0s').split(',').map((t) => {
+			t = t.trim();
+			return t.indexOf('ms') >= 0 ? parseFloat(t) : parseFloat(t) * 1000;
+		});
+	};
+
+	// Returns a Promise that resolves when an element's current CSS transitions end.
+	const waitForTransitions = function(element) {
+		const style = CTX.getComputedStyle(element);
+		const durations = parseCSSTimes(style.transitionDuration);
+		const delays = parseCSSTimes(style.transitionDelay);
+		let longest = 0;
+		let total = 0;
+		for (let i = 0; i < durations.length; i++) {
+			longest = Math.max(longest, durations[i]);
+			total = Math.max(total, durations[i] + delays[i % delays.length]);
+		}
+		if (total <= 0) {
+			return Promise.resolve();
+		}
+		return new Promise((resolve) => {
+			let timeout = null;
+			const DONE = () => {
+				clearTimeout(timeout);
+				element.removeEventListener('transitionend', ENDFUNC);
+				resolve();
+			};
+			const ENDFUNC = (event) => {
+				if (event.target === element && event.elapsedTime * 1000 >= longest - 1) {
+					DONE();
+				}
+			};
+			element.addEventListener('transitionend', ENDFUNC);
+			// In case an end event never comes (property did not change, element hidden, etc.).
+			timeout = setTimeout(DONE, total + 50);
+		});
+	};
+
+	/**
+	 * Animates each element in the SelectionGroup using the Web Animations API.
+	 * If the browser does not support it, the end state is applied right away if options.fill is "forwards" or "both".
+	 * @param {*} keyframes the keyframes (an array of keyframe objects, or an object of property to array of values).
+	 * @param {*} options (optional) the animation options (duration, easing, delay, fill, iterations, etc.), or a duration in milliseconds.
+	 * 		Default duration: 400.
+	 * @returns {Promise} a Promise that resolves to this SelectionGroup when every element finishes animating (or is cancelled).
+	 */
+	const $animate = function(keyframes, options) {
+		const opt = isNumber(options) ? { duration: options } : { duration: 400, ...options };
+		const promises = [];
+		for (let i = 0; i < this.length; i++) {
+			promises.push(animateElement(this[i], keyframes, opt));
+		}
+		return Promise.all(promises).then(() => this);
+	};
+
+	/**
+	 * Shows each element in the SelectionGroup that was hidden via hide() or an inline "display: none".
+	 * Elements hidden by a stylesheet are shown with "display: block".
+	 * @returns {SelectionGroup} the SelectionGroup.
+	 */
+	const $show = function() {
+		showElement(this);
+	};
+
+	/**
+	 * Hides each element in the SelectionGroup (via "display: none"), remembering its previous inline display value for show().
+	 * @returns {SelectionGroup} the SelectionGroup.
+	 */
+	const $hide = function() {
+		hideElement(this);
+	};
+
+	/**
+	 * Shows each hidden element in the SelectionGroup by fading its opacity in.
+	 * @param {*} options (optional) the animation options for animate(), or a duration in milliseconds. Default duration: 400.
+	 * @returns {Promise} a Promise that resolves to this SelectionGroup when every element finishes.
+	 */
+	const $fadeIn = function(options) {
+		const opt = isNumber(options) ? { duration: options } : { duration: 400, ...options };
+		const promises = [];
+		for (let i = 0; i < this.length; i++) {
+			const element = this[i];
+			if (!isHidden(element)) {
+				continue;
+			}
+			showElement(element);
+			const opacity = CTX.getComputedStyle(element).opacity;
+			promises.push(animateElement(element, [{ opacity: 0 }, { opacity: opacity }], opt));
+		}
+		return Promise.all(promises).then(() => this);
+	};
+
+	/**
+	 * Hides each visible element in the SelectionGroup by fading its opacity out.
+	 * @param {*} options (optional) the animation options for animate(), or a duration in milliseconds. Default duration: 400.
+	 * @returns {Promise} a Promise that resolves to this SelectionGroup when every element finishes.
+	 */
+	const $fadeOut = function(options) {
+		const opt = isNumber(options) ? { duration: options } : { duration: 400, ...options };
+		const promises = [];
+		for (let i = 0; i < this.length; i++) {
+			const element = this[i];
+			if (isHidden(element)) {
+				continue;
+			}
+			const opacity = CTX.getComputedStyle(element).opacity;
+			promises.push(animateElement(element, [{ opacity: opacity }, { opacity: 0 }], opt).then(() => {
+				hideElement(element);
+			}));
+		}
+		return Promise.all(promises).then(() => this);
+	};
+
+	/**
+	 * Shows each hidden element in the SelectionGroup by sliding its height open.
+	 * @param {*} options (optional) the animation options for animate(), or a duration in milliseconds. Default duration: 400.
+	 * @returns {Promise} a Promise that resolves to this SelectionGroup when every element finishes.
+	 */
+	const $slideDown = function(options) {
+		const opt = isNumber(options) ? { duration: options } : { duration: 400, ...options };
+		const promises = [];
+		for (let i = 0; i < this.length; i++) {
+			const element = this[i];
+			if (!isHidden(element)) {
+				continue;
+			}
+			showElement(element);
+			const overflow = element.style.overflow;
+			const height = element.scrollHeight;
+			element.style.overflow = 'hidden';
+			promises.push(animateElement(element, [{ height: '0px' }, { height: height + 'px' }], opt).then(() => {
+				element.style.overflow = overflow;
+			}));
+		}
+		return Promise.all(promises).then(() => this);
+	};
+
+	/**
+	 * Hides each visible element in the SelectionGroup by sliding its height closed.
+	 * @param {*} options (optional) the animation options for animate(), or a duration in milliseconds. Default duration: 400.
+	 * @returns {Promise} a Promise that resolves to this SelectionGroup when every element finishes.
+	 */
+	const $slideUp = function(options) {
+		const opt = isNumber(options) ? { duration: options } : { duration: 400, ...options };
+		const promises = [];
+		for (let i = 0; i < this.length; i++) {
+			const element = this[i];
+			if (isHidden(element)) {
+				continue;
+			}
+			const overflow = element.style.overflow;
+			const height = element.offsetHeight;
+			element.style.overflow = 'hidden';
+			promises.push(animateElement(element, [{ height: height + 'px' }, { height: '0px' }], opt).then(() => {
+				element.style.overflow = overflow;
+				hideElement(element);
+			}));
+		}
+		return Promise.all(promises).then(() => this);
+	};
+
+	/**
+	 * Runs a CSS class-based transition on each element in the SelectionGroup:
+	 * 		the "enter" and "active" classes are added,
+	 * 		on the next frame, the "enter" classes are removed and the "leave" classes are added,
+	 * 		and once the CSS transitions finish, the "active" classes are removed.
+	 * So, "enter" describes the starting state, "active" holds the transition properties, and "leave" is the end state (which stays).
+	 * Each parameter can be a class name, several class names separated by spaces, or null/undefined for none.
+	 * @param {string} enter the starting state classes.
+	 * @param {string} active the classes present for the whole transition.
+	 * @param {string} leave the end state classes.
+	 * @returns {Promise} a Promise that resolves to this SelectionGroup when every element's transitions finish.
+	 */
+	const $transitionClass = function(enter, active, leave) {
+		const _SPLIT = (classes) => isString(classes) ? classes.trim().split(/\s+/).filter((c) => c.length > 0) : [];
+		const enterClasses = _SPLIT(enter);
+		const activeClasses = _SPLIT(active);
+		const leaveClasses = _SPLIT(leave);
+
+		this.classAdd(...enterClasses, ...activeClasses);
+		// Force a reflow so that the starting state is applied before it changes.
+		for (let i = 0; i < this.length; i++) {
+			void this[i].offsetWidth;
+		}
+
+		return new Promise((resolve) => {
+			nextFrame(() => {
+				this.classRemove(...enterClasses).classAdd(...leaveClasses);
+				Promise.all(this.elements().map(waitForTransitions)).then(() => {
+					this.classRemove(...activeClasses);
+					resolve(this);
+				});
+			});
+		});
+	};
+
+
+	/********************************************************************/
+
+	// Element -> Set of functions that stop its observers (from onVisible(), onResize(), and onMutate()).
+	const OBSERVERSTOPS = new WeakMap();
+
+	// Amount of active observer registrations (lets removal skip the observer checks when there are none).
+	let OBSERVEDCOUNT = 0;
+
+	// Configuration key -> shared observer.
+	const SHAREDOBSERVERS = new Map();
+
+	const addObserverStop = function(element, stop) {
+		let stops = OBSERVERSTOPS.get(element);
+		if (!stops) {
+			stops = new Set();
+			OBSERVERSTOPS.set(element, stops);
+		}
+		stops.add(stop);
+		OBSERVEDCOUNT++;
+	};
+
+	const removeObserverStop = function(element, stop) {
+		const stops = OBSERVERSTOPS.get(element);
+		if (stops && stops.delete(stop)) {
+			OBSERVEDCOUNT--;
+			if (stops.size === 0) {
+				OBSERVERSTOPS.delete(element);
+			}
+		}
+	};
+
+	// Stops all observers on an element.
+	const stopObservers = function(element) {
+		const stops = OBSERVERSTOPS.get(element);
+		if (stops) {
+			each([ ...stops], (stop) => {
+				stop();
+			});
+		}
+	};
+
+	// Stops the observers in removed nodes (and their descendants) if they are still out of the document 
+	// once the current task is done (so that nodes that are moved, like in refill(), keep them).
+	const releaseObserversIfRemoved = function(nodes) {
+		if (OBSERVEDCOUNT === 0 || nodes.length === 0) {
+			return;
+		}
+		Promise.resolve().then(() => {
+			for (let i = 0; i < nodes.length; i++) {
+				const node = nodes[i];
+				if (!node.isConnected && node.querySelectorAll) {
+					stopObservers(node);
+					each([ ...node.querySelectorAll('*')], (element) => {
+						stopObservers(element);
+					});
+				}
+			}
+		});
+	};
+
+	// Stops observers when an element is removed via remove().
+	CLEANUPFUNCS.push(stopObservers);
+
+	// Registers a handler for an element on a shared observer, creating the observer if needed.
+	// The factory function takes a dispatch function (element, payload) and the map of observed elements to handlers, 
+	// and returns an object with observe(element), unobserve(element), and disconnect() functions.
+	// Returns a function that removes the handler.
+	const observeShared = function(key, factory, element, handler) {
+		let shared = SHAREDOBSERVERS.get(key);
+		if (!shared) {
+			const targets = new Map();
+			shared = factory((target, payload) => {
+				const handlers = targets.get(target);
+				if (handlers) {
+					each([ ...handlers], (h) => {
+						h(payload);
+					});
+				}
+			}, targets);
+			shared.targets = targets;
+			SHAREDOBSERVERS.set(key, shared);
+		}
+
+		let handlers = shared.targets.get(element);
+		if (!handlers) {
+			handlers = new Set();
+			shared.targets.set(element, handlers);
+			shared.observe(element);
+		}
+		handlers.add(handler);
+
+		let stopped = false;
+		const stop = () => {
+			if (stopped) {
+				return;
+			}
+			stopped = true;
+			handlers.delete(handler);
+			if (handlers.size === 0 && shared.targets.get(element) === handlers) {
+				shared.targets.delete(element);
+				shared.unobserve(element);
+			}
+			if (shared.targets.size === 0 && SHAREDOBSERVERS.get(key) === shared) {
+				shared.disconnect();
+				SHAREDOBSERVERS.delete(key);
+			}
+			removeObserverStop(element, stop);
+		};
+		addObserverStop(element, stop);
+		return stop;
+	};
+
+	// Returns a function that calls all of the provided stop functions.
+	const combineStops = function(stops) {
+		return () => {
+			each(stops, (stop) => {
+				stop();
+			});
+		};
+	};
+
+	/**
+	 * Calls a function when each element in the SelectionGroup becomes visible in the viewport (via IntersectionObserver).
+	 * Elements with the same options share one observer.
+	 * Observing stops automatically when an element is removed via remove(), or by clear()/refill() on an ancestor.
+	 * @param {Function} func the function to call. The element is "this", and the first parameter is the IntersectionObserverEntry.
+	 * @param {Object} options (optional) the options:
+	 * 		threshold (number): the ratio of the element that needs to be visible, from 0 to 1. Default: 0.
+	 * 		rootMargin (string): the margin around the viewport, in CSS margin form. Default: "0px".
+	 * 		once (boolean): if true, stop observing an element after the first time it becomes visible. Default: false.
+	 * @returns {Function} a function that, when called, stops observing.
+	 */
+	const $onVisible = function(func, options) {
+		if (!CTX.IntersectionObserver) {
+			throw new Error("Missing required type: IntersectionObserver.");
+		}
+		const opt = { threshold: 0, rootMargin: '0px', once: false, ...options };
+		const key = 'intersection|' + opt.threshold + '|' + opt.rootMargin;
+		const FACTORY = (dispatch) => {
+			const observer = new IntersectionObserver((entries) => {
+				each(entries, (entry) => {
+					dispatch(entry.target, entry);
+				});
+			}, { threshold: opt.threshold, rootMargin: opt.rootMargin });
+			return {
+				observe: (element) => observer.observe(element),
+				unobserve: (element) => observer.unobserve(element),
+				disconnect: () => observer.disconnect()
+			};
+		};
+
+		const stops = [];
+		each(this.elements(), (element) => {
+			const stop = observeShared(key, FACTORY, element, (entry) => {
+				const visible = opt.threshold > 0 ? entry.intersectionRatio >= opt.threshold : entry.isIntersecting;
+				if (visible) {
+					opt.once && stop();
+					func.call(element, entry);
+				}
+			});
+			stops.push(stop);
+		});
+		return combineStops(stops);
+	};
+
+	/**
+	 * Calls a function when each element in the SelectionGroup changes size (via ResizeObserver).
+	 * All elements share one observer.
+	 * Observing stops automatically when an element is removed via remove(), or by clear()/refill() on an ancestor.
+	 * @param {Function} func the function to call. The element is "this", and the first parameter is the ResizeObserverEntry.
+	 * @returns {Function} a function that, when called, stops observing.
+	 */
+	const $onResize = function(func) {
+		if (!CTX.ResizeObserver) {
+			throw new Error("Missing required type: ResizeObserver.");
+		}
+		const FACTORY = (dispatch) => {
+			const observer = new ResizeObserver((entries) => {
+				each(entries, (entry) => {
+					dispatch(entry.target, entry);
+				});
+			});
+			return {
+				observe: (element) => observer.observe(element),
+				unobserve: (element) => observer.unobserve(element),
+				disconnect: () => observer.disconnect()
+			};
+		};
+
+		const stops = [];
+		each(this.elements(), (element) => {
+			stops.push(observeShared('resize', FACTORY, element, (entry) => {
+				func.call(element, entry);
+			}));
+		});
+		return combineStops(stops);
+	};
+
+	/**
+	 * Calls a function when each element in the SelectionGroup changes (via MutationObserver).
+	 * Elements with the same options share one observer.
+	 * Observing stops automatically when an element is removed via remove(), or by clear()/refill() on an ancestor.
+	 * @param {Function} func the function to call. The element is "this", and the first parameter is the array of MutationRecords for it.
+	 * @param {Object} options (optional) the MutationObserver options (childList, attributes, subtree, characterData, attributeFilter, etc.).
+	 * 		Default: { childList: true }
+	 * @returns {Function} a function that, when called, stops observing.
+	 */
+	const $onMutate = function(func, options) {
+		if (!CTX.MutationObserver) {
+			throw new Error("Missing required type: MutationObserver.");
+		}
+		const opt = options ? { ...options } : { childList: true };
+		const key = 'mutation|' + JSON.stringify(Object.keys(opt).sort().map((k) => [k, opt[k]]));
+		const FACTORY = (dispatch, targets) => {
+			const ROUTE = (records) => {
+				const byTarget = new Map();
+				each(records, (record) => {
+					targets.forEach((handlers, element) => {
+						if (element === record.target || (opt.subtree && element.contains(record.target))) {
+							if (!byTarget.has(element)) {
+								byTarget.set(element, []);
+							}
+							byTarget.get(element).push(record);
+						}
+					});
+				});
+				byTarget.forEach((elementRecords, element) => {
+					dispatch(element, elementRecords);
+				});
+			};
+			const observer = new MutationObserver(ROUTE);
+			return {
+				observe: (element) => observer.observe(element, opt),
+				// A MutationObserver cannot stop observing one target, so it is reconnected to the rest.
+				unobserve: () => {
+					ROUTE(observer.takeRecords());
+					observer.disconnect();
+					targets.forEach((handlers, element) => {
+						observer.observe(element, opt);
+					});
+				},
+				disconnect: () => observer.disconnect()
+			};
+		};
+
+		const stops = [];
+		each(this.elements(), (element) => {
+			stops.push(observeShared(key, FACTORY, element, (records) => {
+				func.call(element, records);
+			}));
+		});
+		return combineStops(stops);
+	};
+
+	/********************************************************************/
+
+	// Jobs for the next frame, as {func, resolve, reject}: reads (measure) run before writes (mutate).
+	const MEASUREQUEUE = [];
+	const MUTATEQUEUE = [];
+
+	let FRAMEPENDING = false;
+
+	const runFrameJobs = function(queue) {
+		each(queue.splice(0), (job) => {
+			try {
+				job.resolve(job.func());
+			} catch (err) {
+				job.reject(err);
+			}
+		});
+	};
+
+	const flushFrameJobs = function() {
+		FRAMEPENDING = false;
+		runFrameJobs(MEASUREQUEUE);
+		// Writes queued by the reads are applied in this frame, too.
+		runFrameJobs(MUTATEQUEUE);
+	};
+
+	// Adds a job to a queue, scheduling a flush on the next frame. Returns a Promise of the job's result.
+	const queueFrameJob = function(queue, func) {
+		return new Promise((resolve, reject) => {
+			queue.push({ func: func, resolve: resolve, reject: reject });
+			if (!FRAMEPENDING) {
+				FRAMEPENDING = true;
+				nextFrame(flushFrameJobs);
+			}
+		});
+	};
+
+	// SelectionGroup functions that can be deferred via deferred().
+	const DEFERREDMETHODS = [
+		'set', 'merge', 'style', 'attr', 'classAdd', 'classRemove', 'classToggle', 'html', 'text', 'show', 'hide'
+	];
+
+	/**
+	 * DeferredGroup class - queues writes to a SelectionGroup into the next mutate phase (see deferred()).
+	 */
+	class DeferredGroup {
+
+		constructor(group) {
+			this.group = group;
+			this.calls = null;
+			this.promise = Promise.resolve(group);
+		}
+
+		/**
+		 * Queues a function to call on the SelectionGroup in the next mutate phase, after the writes queued before it.
+		 * @param {Function} func the function to call. "this" and the first parameter are the SelectionGroup.
+		 * @returns {DeferredGroup} this DeferredGroup.
+		 */
+		mutate(func) {
+			if (!this.calls) {
+				const calls = this.calls = [];
+				this.promise = queueFrameJob(MUTATEQUEUE, () => {
+					this.calls = null;
+					each(calls, (call) => {
+						call.call(this.group, this.group);
+					});
+					return this.group;
+				});
+			}
+			this.calls.push(func);
+			return this;
+		}
+
+		/**
+		 * Waits for the queued writes to be applied.
+		 * @param {Function} onFulfilled called with the SelectionGroup once the writes are applied.
+		 * @param {Function} onRejected (optional) called if a write throws an error.
+		 * @returns {Promise} the resulting Promise.
+		 */
+		then(onFulfilled, onRejected) {
+			return this.promise.then(onFulfilled, onRejected);
+		}
+
+		/**
+		 * Handles an error thrown by a queued write.
+		 * @param {Function} onRejected called with the error.
+		 * @returns {Promise} the resulting Promise.
+		 */
+		catch(onRejected) {
+			return this.promise.catch(onRejected);
+		}
+	}
+
+	each(DEFERREDMETHODS, (name) => {
+		DeferredGroup.prototype[name] = function(...args) {
+			return this.mutate((group) => {
+				group[name](...args);
+			});
+		};
+	});
+
+	/**
+	 * Gets a deferred version of the SelectionGroup: calls to its write functions (set, merge, style, attr, 
+	 * classAdd, classRemove, classToggle, html, text, show, hide, and mutate(func) for anything else) are chained
+	 * and queued into the next mutate phase (see DOMJunk.mutate()), in order, instead of applied right away.
+	 * Reads (like style('width')) do not return values through it - use DOMJunk.measure() for those.
+	 * The deferred group is also a Promise (thenable) that resolves to the SelectionGroup once the writes are applied.
+	 * @returns {DeferredGroup} the deferred group.
+	 */
+	const $deferred = function() {
+		return new DeferredGroup(this);
+	};
+
+	/********************************************************************/
+
+	// Opposite sides, for flipping a placement.
+	const PLACEMENTFLIPS = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+
+	const toPlainRect = function(rect) {
+		return {
+			top: rect.top,
+			left: rect.left,
+			right: rect.right,
+			bottom: rect.bottom,
+			width: rect.width,
+			height: rect.height
+		};
+	};
+
+	// Gets the viewport size, minus scrollbars.
+	const getViewportSize = function() {
+		return {
+			width: document.documentElement.clientWidth || CTX.innerWidth,
+			height: document.documentElement.clientHeight || CTX.innerHeight
+		};
+	};
+
+	// Checks if something stands for the whole document when scrolling.
+	const isDocumentScroller = function(obj) {
+		return obj === CTX 
+			|| obj === document 
+			|| obj === document.documentElement 
+			|| obj === document.body 
+			|| obj === document.scrollingElement;
+	};
+
+	// Gets the nearest ancestor of an element that can scroll, or the window if none.
+	const getScrollContainer = function(element) {
+		let parent = element.parentElement;
+		while (parent && !isDocumentScroller(parent)) {
+			const style = CTX.getComputedStyle(parent);
+			if (/auto|scroll|overlay/.test(style.overflow + ' ' + style.overflowY + ' ' + style.overflowX) 
+				&& (parent.scrollHeight > parent.clientHeight || parent.scrollWidth > parent.clientWidth)) {
+				return parent;
+			}
+			parent = parent.parentElement;
+		}
+		return CTX;
+	};
+
+	const getScrollPosition = function(container) {
+		return isDocumentScroller(container)
+			? { top: CTX.pageYOffset, left: CTX.pageXOffset }
+			: { top: container.scrollTop, left: container.scrollLeft };
+	};
+
+	const setScrollPosition = function(container, top, left) {
+		if (isDocumentScroller(container)) {
+			CTX.scrollTo(left, top);
+		}
+		else {
+			container.scrollTop = top;
+			container.scrollLeft = left;
+		}
+	};
+
+	// Gets the scroll position that puts a target (element, selector, number, or {top, left}) at a container's top-left,
+	// kept within the container's scrolling range.
+	const getScrollTarget = function(container, target, offset) {
+		const current = getScrollPosition(container);
+		let top;
+		let left;
+		if (isNumber(target)) {
+			top = target;
+			left = current.left;
+		}
+		else if (isObject(target) && !(target instanceof Node) && !(target instanceof SelectionGroup)) {
+			top = isNumber(target.top) ? target.top : current.top;
+			left = isNumber(target.left) ? target.left : current.left;
+		}
+		else {
+			const element = target instanceof SelectionGroup 
+				? target[0] 
+				: (isString(target) ? (isDocumentScroller(container) ? document : container).querySelector(target) : target);
+			if (!element) {
+				throw new Error("Scroll target not found: " + target);
+			}
+			const rect = element.getBoundingClientRect();
+			if (isDocumentScroller(container)) {
+				top = current.top + rect.top;
+				left = current.left + rect.left;
+			}
+			else {
+				const containerRect = container.getBoundingClientRect();
+				top = current.top + rect.top - containerRect.top - container.clientTop;
+				left = current.left + rect.left - containerRect.left - container.clientLeft;
+			}
+		}
+		const scroller = isDocumentScroller(container) ? (document.scrollingElement || document.documentElement) : container;
+		return {
+			top: Math.max(0, Math.min(top - offset, scroller.scrollHeight - scroller.clientHeight)),
+			left: Math.max(0, Math.min(left, scroller.scrollWidth - scroller.clientWidth))
+		};
+	};
+
+	// Scrolls a container to a position over a duration (ease-in-out). Returns a Promise that resolves when done.
+	const animateScroll = function(container, to, duration) {
+		const from = getScrollPosition(container);
+		return new Promise((resolve) => {
+			if (duration <= 0) {
+				setScrollPosition(container, to.top, to.left);
+				resolve();
+				return;
+			}
+			const start = Date.now();
+			const STEP = function() {
+				const t = Math.min(1, (Date.now() - start) / duration);
+				const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+				setScrollPosition(container, from.top + (to.top - from.top) * eased, from.left + (to.left - from.left) * eased);
+				if (t < 1) {
+					nextFrame(STEP);
+				}
+				else {
+					resolve();
+				}
+			};
+			nextFrame(STEP);
+		});
+	};
+
+	// Gets the viewport position of a floating box placed on a side of an anchor rectangle, aligned to "start", "center", or "end".
+	const computePlacement = function(anchorRect, size, side, align, offset) {
+		if (side === 'top' || side === 'bottom') {
+			return {
+				top: side === 'top' ? anchorRect.top - size.height - offset : anchorRect.bottom + offset,
+				left: align === 'start' 
+					? anchorRect.left 
+					: (align === 'end' ? anchorRect.right - size.width : anchorRect.left + (anchorRect.width - size.width) / 2)
+			};
+		}
+		else {
+			return {
+				top: align === 'start' 
+					? anchorRect.top 
+					: (align === 'end' ? anchorRect.bottom - size.height : anchorRect.top + (anchorRect.height - size.height) / 2),
+				left: side === 'left' ? anchorRect.left - size.width - offset : anchorRect.right + offset
+			};
+		}
+	};
+
+	// Gets how far a placed box sticks out of the viewport on its placement side (negative if it fits).
+	const getPlacementOverflow = function(position, size, side, viewport, padding) {
+		switch (side) {
+			case 'top':
+				return padding - position.top;
+			case 'bottom':
+				return position.top + size.height - (viewport.height - padding);
+			case 'left':
+				return padding - position.left;
+			default:
+				return position.left + size.width - (viewport.width - padding);
+		}
+	};
+
+	/**
+	 * Gets the first element's bounding rectangle, relative to the viewport.
+	 * @returns {Object} an object with {top, left, right, bottom, width, height}.
+	 */
+	const $rect = function() {
+		return toPlainRect(this.getBoundingClientRect());
+	};
+
+	/**
+	 * Gets the first element's position and size relative to the document.
+	 * @returns {Object} an object with {top, left, width, height}.
+	 */
+	const $offset = function() {
+		const rect = this.getBoundingClientRect();
+		return {
+			top: rect.top + CTX.pageYOffset,
+			left: rect.left + CTX.pageXOffset,
+			width: rect.width,
+			height: rect.height
+		};
+	};
+
+	/**
+	 * Gets the first element's position relative to its offset parent's content (the nearest positioned ancestor),
+	 * not counting the element's margins - the values for its CSS "top" and "left" if absolutely positioned.
+	 * @returns {Object} an object with {top, left}.
+	 */
+	const $position = function() {
+		const rect = this.getBoundingClientRect();
+		const style = CTX.getComputedStyle(this);
+		const parent = this.offsetParent;
+		let top = rect.top - (parseFloat(style.marginTop) || 0);
+		let left = rect.left - (parseFloat(style.marginLeft) || 0);
+		if (parent && !isDocumentScroller(parent)) {
+			const parentRect = parent.getBoundingClientRect();
+			top -= parentRect.top + parent.clientTop - parent.scrollTop;
+			left -= parentRect.left + parent.clientLeft - parent.scrollLeft;
+		}
+		else {
+			top += CTX.pageYOffset;
+			left += CTX.pageXOffset;
+		}
+		return { top: top, left: left };
+	};
+
+	/**
+	 * Gets the first element's rendered size, including padding and borders.
+	 * @param {Object} options (optional) the options:
+	 * 		includeMargin (boolean): if true, include the element's margins. Default: false.
+	 * @returns {Object} an object with {width, height}.
+	 */
+	const $size = function(options) {
+		const opt = { includeMargin: false, ...options };
+		const rect = this.getBoundingClientRect();
+		let width = rect.width;
+		let height = rect.height;
+		if (opt.includeMargin) {
+			const style = CTX.getComputedStyle(this);
+			width += (parseFloat(style.marginLeft) || 0) + (parseFloat(style.marginRight) || 0);
+			height += (parseFloat(style.marginTop) || 0) + (parseFloat(style.marginBottom) || 0);
+		}
+		return { width: width, height: height };
+	};
+
+	/**
+	 * Checks if the first element is visible in the viewport.
+	 * @param {number} ratio (optional) how much of the element must be in the viewport, from 0 to 1. 
+	 * 		Default: 0 (any part of it).
+	 * @returns {boolean} true if at least that much of the element is in the viewport, false if not.
+	 */
+	const $inViewport = function(ratio) {
+		const rect = this.getBoundingClientRect();
+		const viewport = getViewportSize();
+		const visibleWidth = Math.min(rect.right, viewport.width) - Math.max(rect.left, 0);
+		const visibleHeight = Math.min(rect.bottom, viewport.height) - Math.max(rect.top, 0);
+		if (visibleWidth < 0 || visibleHeight < 0) {
+			return false;
+		}
+		const area = rect.width * rect.height;
+		if (area === 0) {
+			return true;
+		}
+		const visibleRatio = (visibleWidth * visibleHeight) / area;
+		return visibleRatio > 0 && visibleRatio >= (ratio || 0);
+	};
+
+	/**
+	 * Scrolls each element in the SelectionGroup (a scrollable element, or the window/document/body for the page).
+	 * If no target is provided, each element's nearest scrollable ancestor (or the page) is scrolled to it, instead.
+	 * @param {*} target (optional) what to scroll to: an element, SelectionGroup, or selector (searched in the scrolled element), 
+	 * 		a top position in pixels, or an object with {top, left} positions in pixels.
+	 * @param {Object} options (optional) the options:
+	 * 		behavior (string): 'smooth' to animate the scrolling, 'auto' to jump right to it. Default: 'smooth'.
+	 * 		duration (number): the animation duration in milliseconds. Default: 400.
+	 * 		offset (number): pixels to leave above the target, for example for a sticky header. Default: 0.
+	 * @returns {Promise} a Promise that resolves to this SelectionGroup when the scrolling is done.
+	 */
+	const $scrollTo = function(target, options) {
+		const opt = { behavior: 'smooth', duration: 400, offset: 0, ...options };
+		const duration = opt.behavior === 'smooth' ? opt.duration : 0;
+		const promises = [];
+		for (let i = 0; i < this.length; i++) {
+			const noTarget = isUndefined(target) || isNull(target);
+			const container = noTarget ? getScrollContainer(this[i]) : this[i];
+			promises.push(animateScroll(container, getScrollTarget(container, noTarget ? this[i] : target, opt.offset), duration));
+		}
+		return Promise.all(promises).then(() => this);
+	};
+
+	/**
+	 * Places each element in the SelectionGroup (a tooltip, dropdown, popover, etc.) next to an anchor element.
+	 * If it would stick out of the viewport on the chosen side, and "flip" is on, it is placed on the opposite side
+	 * if that fits better. If it would stick out along the side, and "shift" is on, it is moved back into the viewport.
+	 * The side it ended up on is set as the element's 'data-placement' attribute (for example, 'top-start').
+	 * @param {*} anchor the anchor element, SelectionGroup, or selector.
+	 * @param {Object} options (optional) the options:
+	 * 		placement (string): the side - 'top', 'bottom', 'left', or 'right' - and optionally the alignment along it - 
+	 * 			'-start' or '-end' - like 'bottom-start'. Default: 'bottom' (centered).
+	 * 		offset (number): the gap between the anchor and the element, in pixels. Default: 0.
+	 * 		padding (number): the least space to leave between the element and the viewport edges, in pixels. Default: 0.
+	 * 		flip (boolean): flip to the opposite side if it fits better. Default: true.
+	 * 		shift (boolean): move the element along the side to keep it in the viewport. Default: true.
+	 * 		strategy (string): the element's CSS position: 'fixed' (relative to the viewport) or 'absolute' 
+	 * 			(relative to its offset parent). Default: 'fixed'.
+	 */
+	const $anchorTo = function(anchor, options) {
+		const opt = { placement: 'bottom', offset: 0, padding: 0, flip: true, shift: true, strategy: 'fixed', ...options };
+		const anchorElement = anchor instanceof SelectionGroup 
+			? anchor[0] 
+			: (isString(anchor) ? document.querySelector(anchor) : anchor);
+		if (!anchorElement) {
+			throw new Error("Anchor element not found: " + anchor);
+		}
+
+		const parts = opt.placement.split('-');
+		const align = parts[1] || 'center';
+		const anchorRect = anchorElement.getBoundingClientRect();
+		const viewport = getViewportSize();
+		const size = { width: this.offsetWidth, height: this.offsetHeight };
+
+		let side = parts[0];
+		let position = computePlacement(anchorRect, size, side, align, opt.offset);
+		if (opt.flip) {
+			const overflow = getPlacementOverflow(position, size, side, viewport, opt.padding);
+			if (overflow > 0) {
+				const flippedSide = PLACEMENTFLIPS[side];
+				const flipped = computePlacement(anchorRect, size, flippedSide, align, opt.offset);
+				if (getPlacementOverflow(flipped, size, flippedSide, viewport, opt.padding) < overflow) {
+					side = flippedSide;
+					position = flipped;
+				}
+			}
+		}
+		if (opt.shift) {
+			if (side === 'top' || side === 'bottom') {
+				position.left = Math.max(opt.padding, Math.min(position.left, viewport.width - opt.padding - size.width));
+			}
+			else {
+				position.top = Math.max(opt.padding, Math.min(position.top, viewport.height - opt.padding - size.height));
+			}
+		}
+
+		if (opt.strategy === 'absolute') {
+			const parent = this.offsetParent;
+			if (parent && !isDocumentScroller(parent)) {
+				const parentRect = parent.getBoundingClientRect();
+				position.top -= parentRect.top + parent.clientTop - parent.scrollTop;
+				position.left -= parentRect.left + parent.clientLeft - parent.scrollLeft;
+			}
+			else {
+				position.top += CTX.pageYOffset;
+				position.left += CTX.pageXOffset;
+			}
+		}
+
+		this.style.position = opt.strategy;
+		this.style.top = position.top + 'px';
+		this.style.left = position.left + 'px';
+		this.setAttribute('data-placement', parts[1] ? side + '-' + parts[1] : side);
+	};
+
+	/********************************************************************/
+
+	// Elements that can take focus, before filtering out disabled, hidden, and negative-tabindex ones.
+	const FOCUSABLE_SELECTOR = [
+		'a[href]', 'area[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'iframe', 
+		'object', 'embed', 'summary', 'audio[controls]', 'video[controls]', '[contenteditable]:not([contenteditable="false"])', 
+		'[tabindex]'
+	].join(', ');
+
+	// Focus traps, innermost (most recent) last. Only the innermost one is active.
+	const FOCUSTRAPS = [];
+
+	let FOCUSCOUNTER = 0;
+
+	// Checks if an element can be reached with the Tab key.
+	const isTabbable = function(element) {
+		if (element.disabled || element.tabIndex < 0 || element.closest('[hidden], [inert], fieldset[disabled]')) {
+			return false;
+		}
+		for (let e = element; e && e.nodeType === Node.ELEMENT_NODE; e = e.parentElement) {
+			const style = CTX.getComputedStyle(e);
+			if (style.display === 'none' || (e === element && style.visibility === 'hidden')) {
+				return false;
+			}
+		}
+		return true;
+	};
+
+	// Gets the tabbable descendants of an element, in document order.
+	const getTabbable = function(element) {
+		return [ ...element.querySelectorAll(FOCUSABLE_SELECTOR)].filter(isTabbable);
+	};
+
+	// Focuses an element, making it focusable first if needed.
+	const focusElement = function(element) {
+		if (element.tabIndex < 0 && !element.hasAttribute('tabindex')) {
+			element.setAttribute('tabindex', '-1');
+		}
+		element.focus();
+	};
+
+	/**
+	 * Gets the descendants of each element in the SelectionGroup that can be reached with the Tab key
+	 * (enabled, not hidden, and without a negative tabindex).
+	 * @returns {SelectionGroup} the new SelectionGroup with the tabbable elements.
+	 */
+	const $focusable = function() {
+		return getTabbable(this);
+	};
+
+	/**
+	 * Traps keyboard focus inside the first element in the SelectionGroup (a dialog, for example):
+	 * Tab and Shift+Tab cycle through its tabbable descendants, and focus that moves outside of it is brought back.
+	 * Focus traps can be nested - only the most recent one that is not released is active.
+	 * @param {Object} options (optional) the options:
+	 * 		initialFocus (*): the element, SelectionGroup, or selector (searched in the element) to focus first. 
+	 * 			Default: the first tabbable descendant, or the element itself.
+	 * 		returnFocus (boolean): if true, focus the previously focused element again on release. Default: true.
+	 * @returns {Object} a handle with release(), which removes the trap.
+	 * @throws {Error} if the SelectionGroup does not start with an element.
+	 */
+	const $focusTrap = function(options) {
+		if (!(this[0] instanceof Element)) {
+			throw new Error("focusTrap() needs an element to trap focus in, but the selection " + (this.length === 0 ? "is empty." : "does not start with one."));
+		}
+		const opt = { returnFocus: true, ...options };
+		const container = new SelectionGroup(this[0], true);
+		const namespace = 'focustrap' + (FOCUSCOUNTER++);
+		const previous = document.activeElement;
+
+		const trap = {
+			release: () => {
+				const index = FOCUSTRAPS.indexOf(trap);
+				if (index < 0) {
+					return;
+				}
+				FOCUSTRAPS.splice(index, 1);
+				container.detach('.' + namespace);
+				(new SelectionGroup(document, true)).detach('.' + namespace);
+				if (opt.returnFocus && previous && previous.isConnected && isFunction(previous.focus)) {
+					previous.focus();
+				}
+			}
+		};
+		const isActive = () => FOCUSTRAPS[FOCUSTRAPS.length - 1] === trap;
+
+		container.attach('keydown.' + namespace, function(event) {
+			if (event.key !== 'Tab' || !isActive()) {
+				return;
+			}
+			const tabbable = getTabbable(container[0]);
+			if (tabbable.length === 0) {
+				event.preventDefault();
+				focusElement(container[0]);
+				return;
+			}
+			const first = tabbable[0];
+			const last = tabbable[tabbable.length - 1];
+			if (event.shiftKey && (document.activeElement === first || document.activeElement === container[0])) {
+				event.preventDefault();
+				last.focus();
+			}
+			else if (!event.shiftKey && document.activeElement === last) {
+				event.preventDefault();
+				first.focus();
+			}
+		});
+		(new SelectionGroup(document, true)).attach('focusin.' + namespace, function(event) {
+			if (isActive() && !container[0].contains(event.target)) {
+				const tabbable = getTabbable(container[0]);
+				focusElement(tabbable.length > 0 ? tabbable[0] : container[0]);
+			}
+		});
+		FOCUSTRAPS.push(trap);
+
+		let initial = opt.initialFocus;
+		if (isString(initial)) {
+			initial = container[0].querySelector(initial);
+		}
+		else if (initial instanceof SelectionGroup) {
+			initial = initial[0];
+		}
+		if (!initial) {
+			initial = getTabbable(container[0])[0] || container[0];
+		}
+		focusElement(initial);
+		return trap;
+	};
+
+	// Arrow keys for each roving tabindex orientation -> direction.
+	const ROVINGKEYS = {
+		vertical: { ArrowUp: -1, ArrowDown: 1 },
+		horizontal: { ArrowLeft: -1, ArrowRight: 1 },
+		both: { ArrowUp: -1, ArrowDown: 1, ArrowLeft: -1, ArrowRight: 1 }
+	};
+
+	/**
+	 * Sets up a "roving tabindex" on each element in the SelectionGroup (a menu, listbox, toolbar, tab list, etc.):
+	 * only one of its items can be reached with the Tab key, and the arrow keys, Home, and End move focus between the items.
+	 * Items are found when keys are pressed, so items added later are included (call refresh() to fix their tabindex).
+	 * The first item with 'aria-selected="true"' or 'aria-current' (or else the first item) starts as the current one.
+	 * @param {string} itemSelector the selector for the items.
+	 * @param {Object} options (optional) the options:
+	 * 		orientation (string): which arrow keys move focus: 'vertical', 'horizontal', or 'both'. Default: 'vertical'.
+	 * 		wrap (boolean): if true, moving past the last item goes to the first, and back. Default: true.
+	 * @returns {Object} a handle with refresh(), which fixes the items' tabindex, and release(), which removes the key handling.
+	 */
+	const $rovingTabindex = function(itemSelector, options) {
+		const opt = { orientation: 'vertical', wrap: true, ...options };
+		const keys = ROVINGKEYS[opt.orientation];
+		if (!keys) {
+			throw new Error("Unknown orientation: " + opt.orientation);
+		}
+		const namespace = 'roving' + (FOCUSCOUNTER++);
+		const containers = this.elements();
+
+		const getItems = (container) => [ ...container.querySelectorAll(itemSelector)]
+			.filter((item) => !item.disabled && item.getAttribute('aria-disabled') !== 'true');
+		const setCurrent = (items, current) => {
+			each(items, (item) => {
+				item.setAttribute('tabindex', item === current ? '0' : '-1');
+			});
+		};
+		const refresh = () => {
+			each(containers, (container) => {
+				const items = getItems(container);
+				const current = items.find((item) => item.getAttribute('tabindex') === '0')
+					|| items.find((item) => item.getAttribute('aria-selected') === 'true' || item.hasAttribute('aria-current'))
+					|| items[0];
+				setCurrent(items, current);
+			});
+		};
+
+		each(containers, (container) => {
+			const group = new SelectionGroup(container, true);
+			group.attach('keydown.' + namespace, itemSelector, function(event) {
+				const items = getItems(container);
+				let index = items.indexOf(this);
+				if (index < 0) {
+					return;
+				}
+				if (keys.hasOwnProperty(event.key)) {
+					index += keys[event.key];
+					if (index < 0 || index >= items.length) {
+						if (!opt.wrap) {
+							return;
+						}
+						index = (index + items.length) % items.length;
+					}
+				}
+				else if (event.key === 'Home') {
+					index = 0;
+				}
+				else if (event.key === 'End') {
+					index = items.length - 1;
+				}
+				else {
+					return;
+				}
+				event.preventDefault();
+				setCurrent(items, items[index]);
+				items[index].focus();
+			});
+			group.attach('focusin.' + namespace, itemSelector, function() {
+				const items = getItems(container);
+				if (items.indexOf(this) >= 0) {
+					setCurrent(items, this);
+				}
+			});
+		});
+		refresh();
+
+		return {
+			refresh: refresh,
+			release: () => {
+				(new SelectionGroup(containers)).detach('.' + namespace);
+			}
+		};
+	};
+
+	// Politeness -> managed aria-live region element.
+	const LIVEREGIONS = {};
+
+	// Politeness -> {resolve, timeout} for the message waiting to be added to its live region.
+	const LIVEPENDING = {};
+
+	// Gets (creating if needed) the live region for a politeness level.
+	const getLiveRegion = function(politeness) {
+		let region = LIVEREGIONS[politeness];
+		if (!region || !region.isConnected) {
+			region = createElement('div', {
+				'aria-live': politeness,
+				'aria-atomic': 'true',
+				'role': politeness === 'assertive' ? 'alert' : 'status',
+				'data-domjunk-live': politeness,
+				'style': 'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; border: 0; '
+					+ 'overflow: hidden; clip: rect(0 0 0 0); clip-path: inset(50%); white-space: nowrap;'
+			});
+			document.body.appendChild(region);
+			LIVEREGIONS[politeness] = region;
+		}
+		return region;
+	};
+
+	/********************************************************************/
+
+	// Element -> VirtualList (see refillVirtual()).
+	const VIRTUALLISTS = new WeakMap();
+
+	let VIRTUALCOUNTER = 0;
+
+	// Spacer element names for list elements whose children have to be certain elements.
+	const VIRTUALSPACERTAGS = {
+		TABLE: 'tr',
+		TBODY: 'tr',
+		THEAD: 'tr',
+		TFOOT: 'tr',
+		UL: 'li',
+		OL: 'li'
+	};
+
+	/**
+	 * VirtualList class - the state of a list filled via refillVirtual().
+	 */
+	class VirtualList {
+
+		constructor(element) {
+			this.element = element;
+			this.items = [];
+			this.generatorFunc = null;
+			this.options = {};
+			this.namespace = 'virtual' + (VIRTUALCOUNTER++);
+			// Row ID (key, or index if no key) -> rendered node.
+			this.rendered = new Map();
+			// Row ID -> measured height.
+			this.heights = new Map();
+			// Row top offsets: offsets[i] is the top of row i, and valid up to offsetsValid.
+			this.offsets = new Float64Array(1);
+			this.offsetsValid = 0;
+			this.framePending = false;
+
+			const spacerTag = VIRTUALSPACERTAGS[element.nodeName] || 'div';
+			const createSpacer = () => createElement(spacerTag, { 
+				'class': 'domjunk-virtual-spacer', 
+				'aria-hidden': 'true', 
+				'style': 'height: 0px; padding: 0; margin: 0; border: 0; list-style: none;' 
+			});
+			this.before = createSpacer();
+			this.after = createSpacer();
+			(new SelectionGroup(element, true)).clear().append([this.before, this.after]);
+		}
+
+		// Sets the scroll container, listening for scrolling and resizing on it.
+		setScroller(scroller) {
+			if (this.scroller === scroller) {
+				return;
+			}
+			this.stopListening();
+			this.scroller = scroller;
+			const group = new SelectionGroup(scroller, true);
+			group.attach('scroll.' + this.namespace, () => this.scheduleRender());
+			if (isDocumentScroller(scroller)) {
+				group.attach('resize.' + this.namespace, () => this.scheduleRender());
+			}
+			else if (CTX.ResizeObserver) {
+				this.stopResize = group.onResize(() => this.scheduleRender());
+			}
+		}
+
+		stopListening() {
+			if (this.scroller) {
+				(new SelectionGroup(this.scroller, true)).detach('.' + this.namespace);
+			}
+			this.stopResize && this.stopResize();
+			this.stopResize = null;
+		}
+
+		// Sets new items (and generator function and options), and renders them.
+		setItems(arr, generatorFunc, options) {
+			const previousKey = this.options.key;
+			const items = arr || [];
+			const opt = { estimateHeight: 24, overscan: 5, ...options };
+			const keyFunc = isUndefined(opt.key) || isNull(opt.key) 
+				? null 
+				: (isCallable(opt.key) ? opt.key : (item) => item[opt.key]);
+
+			// Each key is tracked on a single row, so keys have to be unique.
+			if (keyFunc) {
+				const seen = new Set();
+				for (let i = 0; i < items.length; i++) {
+					const id = keyFunc(items[i], i);
+					if (seen.has(id)) {
+						throw new Error("Duplicate key in refillVirtual() items: " + id);
+					}
+					seen.add(id);
+				}
+			}
+
+			this.items = items;
+			this.generatorFunc = generatorFunc;
+			this.options = opt;
+			this.keyFunc = keyFunc;
+
+			// Without keys, rows cannot be matched to the previous items, so they start over.
+			if (!this.keyFunc || previousKey !== this.options.key) {
+				this.heights.clear();
+				this.rendered.forEach((node) => {
+					(new SelectionGroup(node, true)).remove();
+				});
+				this.rendered.clear();
+			}
+			else if (this.options.update) {
+				const indices = new Map();
+				for (let i = 0; i < this.items.length; i++) {
+					indices.set(this.getRowId(i), i);
+				}
+				this.rendered.forEach((node, id) => {
+					if (indices.has(id)) {
+						const index = indices.get(id);
+						getDataStore(node, true).model = this.items[index];
+						this.options.update(node, this.items[index], index);
+					}
+				});
+			}
+
+			this.offsets = new Float64Array(this.items.length + 1);
+			this.offsetsValid = 0;
+			this.setScroller(this.options.scrollContainer 
+				? toNodeArray(isString(this.options.scrollContainer) 
+					? document.querySelector(this.options.scrollContainer) 
+					: this.options.scrollContainer)[0] 
+				: this.findScroller()
+			);
+			this.render();
+		}
+
+		findScroller() {
+			const style = CTX.getComputedStyle(this.element);
+			return /auto|scroll|overlay/.test(style.overflow + ' ' + style.overflowY) 
+				? this.element 
+				: getScrollContainer(this.element);
+		}
+
+		getRowId(index) {
+			return this.keyFunc ? this.keyFunc(this.items[index], index) : index;
+		}
+
+		getRowHeight(index) {
+			if (isNumber(this.options.rowHeight)) {
+				return this.options.rowHeight;
+			}
+			const height = this.heights.get(this.getRowId(index));
+			return isUndefined(height) ? this.options.estimateHeight : height;
+		}
+
+		// Gets the top offset of a row (or the total height, for the index after the last row).
+		getOffset(index) {
+			if (isNumber(this.options.rowHeight)) {
+				return index * this.options.rowHeight;
+			}
+			for (let i = this.offsetsValid; i < index; i++) {
+				this.offsets[i + 1] = this.offsets[i] + this.getRowHeight(i);
+			}
+			this.offsetsValid = Math.max(this.offsetsValid, index);
+			return this.offsets[index];
+		}
+
+		// Gets the index of the row at an offset.
+		findIndex(offset) {
+			const count = this.items.length;
+			if (isNumber(this.options.rowHeight)) {
+				return Math.max(0, Math.min(count - 1, Math.floor(offset / this.options.rowHeight)));
+			}
+			this.getOffset(count);
+			let lo = 0;
+			let hi = count - 1;
+			while (lo < hi) {
+				const mid = (lo + hi + 1) >> 1;
+				if (this.offsets[mid] <= offset)
+					lo = mid;
+				else
+					hi = mid - 1;
+			}
+			return Math.max(0, lo);
+		}
+
+		// Gets the offset of the top of the list inside the scroll container's content.
+		getListTop() {
+			if (this.scroller === this.element) {
+				return 0;
+			}
+			const rect = this.element.getBoundingClientRect();
+			if (isDocumentScroller(this.scroller)) {
+				return rect.top + CTX.pageYOffset;
+			}
+			const scrollerRect = this.scroller.getBoundingClientRect();
+			return rect.top - scrollerRect.top - this.scroller.clientTop + this.scroller.scrollTop;
+		}
+
+		getViewport() {
+			return isDocumentScroller(this.scroller)
+				? { top: CTX.pageYOffset, height: CTX.innerHeight }
+				: { top: this.scroller.scrollTop, height: this.scroller.clientHeight };
+		}
+
+		// Checks if the list's element left the document, or its children were replaced (for example, by clear() or html()).
+		isDetached() {
+			return !this.element.isConnected || this.before.parentNode !== this.element;
+		}
+
+		scheduleRender() {
+			// The listeners are on the scroll container, so they are released here if the list went away some other way than remove().
+			if (this.isDetached()) {
+				this.destroy();
+				return;
+			}
+			if (!this.framePending) {
+				this.framePending = true;
+				nextFrame(() => {
+					this.framePending = false;
+					if (!this.destroyed) {
+						this.render();
+					}
+				});
+			}
+		}
+
+		// Renders the rows in view (plus overscan), reusing rendered rows, then measures them.
+		render() {
+			const count = this.items.length;
+			const viewport = this.getViewport();
+			const top = viewport.top - this.getListTop();
+			let start = 0;
+			let end = 0;
+			if (count > 0) {
+				start = Math.max(0, this.findIndex(Math.max(0, top)) - this.options.overscan);
+				end = Math.min(count, this.findIndex(Math.max(0, top + viewport.height)) + 1 + this.options.overscan);
+			}
+
+			const wanted = new Map();
+			for (let i = start; i < end; i++) {
+				wanted.set(this.getRowId(i), i);
+			}
+			const pool = [];
+			this.rendered.forEach((node, id) => {
+				if (!wanted.has(id)) {
+					pool.push(node);
+					this.rendered.delete(id);
+				}
+			});
+
+			let previous = this.before;
+			wanted.forEach((index, id) => {
+				let node = this.rendered.get(id);
+				if (!node) {
+					const item = this.items[index];
+					if (pool.length > 0 && this.options.update) {
+						node = pool.pop();
+						this.options.update(node, item, index);
+					}
+					else {
+						node = toSingleElement(this.generatorFunc(item, index));
+						if (!node) {
+							throw new Error("refillVirtual() generator must return exactly one element per item (index: " + index + ")!");
+						}
+					}
+					getDataStore(node, true).model = item;
+					this.rendered.set(id, node);
+				}
+				if (previous.nextSibling !== node) {
+					this.element.insertBefore(node, previous.nextSibling);
+				}
+				previous = node;
+			});
+			each(pool, (node) => {
+				(new SelectionGroup(node, true)).remove();
+			});
+
+			const measured = this.measure();
+			this.before.style.height = this.getOffset(start) + 'px';
+			this.after.style.height = (this.getOffset(count) - this.getOffset(end)) + 'px';
+			// Measured rows that are taller or shorter than estimated can change which rows are in view.
+			if (measured) {
+				this.scheduleRender();
+			}
+			this.start = start;
+			this.end = end;
+		}
+
+		// Measures the rendered rows, if row heights vary. Returns true if any height changed.
+		measure() {
+			if (isNumber(this.options.rowHeight)) {
+				return false;
+			}
+			let changed = false;
+			this.rendered.forEach((node, id) => {
+				const height = node.offsetHeight;
+				if (height > 0 && this.heights.get(id) !== height) {
+					this.heights.set(id, height);
+					changed = true;
+				}
+			});
+			if (changed) {
+				this.offsetsValid = 0;
+			}
+			return changed;
+		}
+
+		// Scrolls a row into view. Returns a Promise that resolves when done.
+		scrollToIndex(index, options) {
+			const opt = { align: 'start', behavior: 'auto', duration: 400, ...options };
+			index = Math.max(0, Math.min(this.items.length - 1, index));
+			const getTarget = () => {
+				const viewport = this.getViewport();
+				const listTop = this.getListTop();
+				const rowTop = listTop + this.getOffset(index);
+				const rowHeight = this.getRowHeight(index);
+				let align = opt.align;
+				if (align === 'auto') {
+					if (rowTop >= viewport.top && rowTop + rowHeight <= viewport.top + viewport.height) {
+						return null;
+					}
+					align = rowTop < viewport.top ? 'start' : 'end';
+				}
+				switch (align) {
+					case 'center':
+						return { top: rowTop - (viewport.height - rowHeight) / 2 };
+					case 'end':
+						return { top: rowTop - viewport.height + rowHeight };
+					default:
+						return { top: rowTop };
+				}
+			};
+			const scrollToTarget = (duration) => {
+				const target = getTarget();
+				return target 
+					? animateScroll(this.scroller, getScrollTarget(this.scroller, target, 0), duration) 
+					: Promise.resolve();
+			};
+			const duration = opt.behavior === 'smooth' ? opt.duration : 0;
+			return scrollToTarget(duration).then(() => {
+				// Rows rendered on the way may have been measured, moving the row. Go to where it is now.
+				this.render();
+				return scrollToTarget(0);
+			}).then(() => {
+				this.render();
+			});
+		}
+
+		destroy() {
+			this.destroyed = true;
+			this.stopListening();
+			if (VIRTUALLISTS.get(this.element) === this) {
+				VIRTUALLISTS.delete(this.element);
+			}
+		}
+	}
+
+	// Stops virtual lists when their element is removed via remove().
+	CLEANUPFUNCS.push((element) => {
+		const list = VIRTUALLISTS.get(element);
+		list && list.destroy();
+	});
+
+	/**
+	 * Fills each DOM element in the SelectionGroup with children generated from an array, like refillList(), but only
+	 * generates the children for the items in view in a scrollable container (plus a few more - see "overscan"). 
+	 * More are generated as it scrolls, and the ones that leave the view are removed or reused. Spacer elements 
+	 * (class "domjunk-virtual-spacer") before and after the children stand in for the rest, so that the scrollbar 
+	 * reflects the whole list.
+	 * Call it again on the same element to change the array (and options) - the scroll position is kept.
+	 * If the element is removed from the document or its children are replaced, the list stops listening for scrolling 
+	 * (via remove() right away, otherwise on the next scroll or resize) - call it again to start over.
+	 * Each generated child has its array element stored as its "model" data (see data() and DOMJunk.data()).
+	 * @param {Array} arr the array of items.
+	 * @param {Function} generatorFunc the element generator function. 
+	 * 		First parameter is the array element to use, second is the index. 
+	 * 		Must return exactly one element (a node, or an HTML string with a single root element).
+	 * @param {Object} options (optional) the options:
+	 * 		rowHeight (number): the height of every child in pixels, if they are all the same (fastest).
+	 * 		estimateHeight (number): if rowHeight is not set, the estimated height of a child in pixels until it is 
+	 * 			rendered and measured. Default: 24.
+	 * 		overscan (number): how many children to render past each end of the view. Default: 5.
+	 * 		key (string | Function): the member name on each array element to use as its key, or a function that takes
+	 * 			the array element and index and returns its key. With keys, measured heights and rendered children
+	 * 			are kept for items that are still in the array when it changes. Keys must be unique, or an error is thrown.
+	 * 		update (Function): if provided, children that leave the view are reused for the items that enter it, 
+	 * 			instead of generating new ones, and this is called to change them. Also called for each rendered child 
+	 * 			whose item is still in a changed array (if keyed).
+	 * 			First parameter is the child element, second is the array element, third is the index.
+	 * 		scrollContainer (*): the scrolling element (or a selector for it). Default: the element itself if it 
+	 * 			scrolls, or else its nearest scrolling ancestor (or the page).
+	 */
+	const $refillVirtual = function(arr, generatorFunc, options) {
+		let list = VIRTUALLISTS.get(this);
+		// Recreate if the spacers were removed (for example, by clear() or html()).
+		if (list && list.before.parentNode !== this) {
+			list.destroy();
+			list = null;
+		}
+		if (!list) {
+			list = new VirtualList(this);
+			VIRTUALLISTS.set(this, list);
+		}
+		list.setItems(arr, generatorFunc, options);
+	};
+
+	/**
+	 * Scrolls the list filled via refillVirtual() in the first element of the SelectionGroup so that an item is in view.
+	 * @param {number} index the item index.
+	 * @param {Object} options (optional) the options:
+	 * 		align (string): where to put the item: 'start', 'center', 'end', or 'auto' (only scroll if it is not 
+	 * 			fully in view, and then as little as possible). Default: 'start'.
+	 * 		behavior (string): 'smooth' to animate the scrolling, 'auto' to jump right to it. Default: 'auto'.
+	 * 		duration (number): the animation duration in milliseconds. Default: 400.
+	 * @returns {Promise} a Promise that resolves when the scrolling is done, or rejects if the element is not a virtual list.
+	 */
+	const $scrollToIndex = function(index, options) {
+		const list = this.length > 0 ? VIRTUALLISTS.get(this[0]) : null;
+		if (!list) {
+			return Promise.reject(new Error("Element was not filled via refillVirtual()."));
+		}
+		return list.scrollToIndex(index, options);
+	};
+
+
+	/********************************************************************/
+	/** Components                                                     **/
+	/********************************************************************/
+
+	// Watchers for elements entering/leaving the document: {selector, added(element), removed(element)}.
+	const DOCUMENTWATCHERS = [];
+
+	let DOCUMENTOBSERVER = null;
+
+	// Calls a watch function for a node and its descendants that match the watcher's selector.
+	const notifyWatcher = function(watcher, node, funcName) {
+		if (!watcher[funcName]) {
+			return;
+		}
+		const elements = matches(node, watcher.selector) ? [node] : [];
+		elements.push(...node.querySelectorAll(watcher.selector));
+		for (let i = 0; i < elements.length; i++) {
+			watcher[funcName](elements[i]);
+		}
+	};
+
+	// Adds a watcher for elements that enter or leave the document, using one shared MutationObserver.
+	// Elements that are only moved (removed and inserted again before the observer is notified) are not reported.
+	const watchDocument = function(watcher) {
+		DOCUMENTWATCHERS.push(watcher);
+		if (!DOCUMENTOBSERVER && CTX.MutationObserver) {
+			DOCUMENTOBSERVER = new MutationObserver((records) => {
+				each(records, (record) => {
+					each([ ...record.removedNodes], (node) => {
+						if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) {
+							each([ ...DOCUMENTWATCHERS], (w) => {
+								notifyWatcher(w, node, 'removed');
+							});
+						}
+					});
+					each([ ...record.addedNodes], (node) => {
+						if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+							each([ ...DOCUMENTWATCHERS], (w) => {
+								notifyWatcher(w, node, 'added');
+							});
+						}
+					});
+				});
+			});
+			DOCUMENTOBSERVER.observe(document.documentElement, { childList: true, subtree: true });
+		}
+	};
+
+	// Removes a watcher added via watchDocument().
+	const unwatchDocument = function(watcher) {
+		const index = DOCUMENTWATCHERS.indexOf(watcher);
+		if (index >= 0) {
+			DOCUMENTWATCHERS.splice(index, 1);
+		}
+	};
+
+	// Calls a function once the document is ready, before any main functions (see DOMJunk.main()).
+	const whenDocumentParsed = function(func) {
+		queueMainFunction(MAINPHASES.ready, func, Infinity);
+	};
+
+	// Component name -> definition.
+	const COMPONENTS = {};
+
+	// Element -> mounted Component.
+	const COMPONENTINSTANCES = new WeakMap();
+
+	// Component/element definition -> compiled template.
+	const DEFINITIONTEMPLATES = new WeakMap();
+
+	let COMPONENTCOUNTER = 0;
+
+	// Gets the compiled template for a component or custom element definition, or null if it has none.
+	// Template text that is not HTML and has no tags is a selector for a template element.
+	const getDefinitionTemplate = function(definition) {
+		if (!definition.template) {
+			return null;
+		}
+		let compiled = DEFINITIONTEMPLATES.get(definition);
+		if (!compiled) {
+			let template = definition.template;
+			if (isString(template) && !isHTML(template) && template.indexOf('{{') < 0) {
+				template = document.querySelector(template);
+				if (!template) {
+					throw new Error("Template not found: " + definition.template);
+				}
+			}
+			compiled = getCompiledTemplate(template);
+			DEFINITIONTEMPLATES.set(definition, compiled);
+		}
+		return compiled;
+	};
+
+	/**
+	 * Component class - a mounted instance of a component definition (see DOMJunk.component()).
+	 */
+	class Component {
+
+		/**
+		 * Creates a component instance on an element. Use DOMJunk.mount() instead.
+		 * @param {string} name the component name.
+		 * @param {Object} definition the component definition.
+		 * @param {Element} element the root element.
+		 */
+		constructor(name, definition, element) {
+			this.name = name;
+			this.definition = definition;
+			this.element = element;
+			this.root = new SelectionGroup(element, true);
+			this.props = $data.call(element);
+			this.namespace = 'component' + (COMPONENTCOUNTER++);
+			this.cleanups = [];
+			this.mounted = false;
+
+			const initialState = isCallable(definition.state) 
+				? definition.state.call(this, this.props) 
+				: (definition.state || this.props);
+			this.state = { ...initialState };
+		}
+
+		/**
+		 * Searches this component's root element.
+		 * @param {string} query the CSS/document query.
+		 * @param {boolean} one (optional) if true, return the first match.
+		 * @returns {SelectionGroup} the new SelectionGroup of matching elements.
+		 */
+		search(query, one) {
+			return this.root.search(query, one);
+		}
+
+		/**
+		 * Attaches an event handler to this component's root element that is detached on unmount.
+		 * @param {string} eventName the event name(s).
+		 * @param {string} selector (optional) the selector for delegated descendants.
+		 * @param {Function} func the function to attach.
+		 * @returns {Component} this Component.
+		 */
+		attach(eventName, selector, func) {
+			const names = eventName.trim().split(/\s+/).map((n) => n + '.' + this.namespace).join(' ');
+			this.root.attach(names, selector, func);
+			return this;
+		}
+
+		/**
+		 * Adds a function to call on unmount (for example, a bus unsubscribe function or an observer stop function).
+		 * @param {Function} func the function to call.
+		 * @returns {Component} this Component.
+		 */
+		cleanup(func) {
+			this.cleanups.push(func);
+			return this;
+		}
+
+		/**
+		 * Renders the component template (if any) into the root element using the current state as the model,
+		 * and mounts any components inside it.
+		 * @returns {Component} this Component.
+		 */
+		render() {
+			const template = getDefinitionTemplate(this.definition);
+			if (template) {
+				this.root.refillTemplate(template, this.state);
+				mountComponents(this.element, false);
+			}
+			return this;
+		}
+
+		/**
+		 * Merges changes into the component state and renders again.
+		 * @param {Object} changes the state changes.
+		 * @returns {Component} this Component.
+		 */
+		setState(changes) {
+			this.state = { ...this.state, ...changes };
+			return this.render();
+		}
+
+		/**
+		 * Unmounts this component: calls "unmounted", detaches its handlers, and calls its cleanup functions.
+		 * The root element's content is left as-is.
+		 */
+		unmount() {
+			if (!this.mounted) {
+				return;
+			}
+			this.mounted = false;
+			COMPONENTINSTANCES.delete(this.element);
+			try {
+				this.definition.unmounted && this.definition.unmounted.call(this, this);
+			} finally {
+				this.root.detach('.' + this.namespace);
+				each(this.cleanups.splice(0), (func) => {
+					func();
+				});
+			}
+		}
+	}
+
+	// Mounts a component on an element, if not mounted.
+	const mountComponent = function(element) {
+		if (COMPONENTINSTANCES.has(element)) {
+			return COMPONENTINSTANCES.get(element);
+		}
+		const name = element.getAttribute('data-component');
+		const definition = COMPONENTS[name];
+		if (!definition) {
+			return null;
+		}
+		const instance = new Component(name, definition, element);
+		COMPONENTINSTANCES.set(element, instance);
+		instance.mounted = true;
+		each(definition.handlers, (func, key) => {
+			const spaceIndex = key.indexOf(' ');
+			const eventName = spaceIndex >= 0 ? key.substring(0, spaceIndex) : key;
+			const selector = spaceIndex >= 0 ? key.substring(spaceIndex + 1).trim() : null;
+			instance.attach(eventName, selector, function(event) {
+				return func.call(this, event, instance);
+			});
+		});
+		instance.render();
+		definition.mounted && definition.mounted.call(instance, instance);
+		return instance;
 	};
 
-	/**
-	 * Removes a set of CSS classes from each element in the SelectionGroup.
-	 * @param {string} classNames... the vararg list of class names to remove from each element.
-	 */
-	const $classRemove = function(/* classNames... */) {
-		const classNames = arguments;
-		const classes = this.className.trim().length > 0 ? this.className.split(/\s+/) : [];
-		const remset = {};
-		for (let i = 0; i < classNames.length; i++) {
-			remset[classNames[i]] = true;
+	// Mounts the components on an element (optionally) and its descendants.
+	const mountComponents = function(element, includeSelf) {
+		const elements = [ ...element.querySelectorAll('[data-component]')];
+		if (includeSelf !== false && matches(element, '[data-component]')) {
+			elements.unshift(element);
 		}
-		const out = [];
-		each(classes, (c) => {
-			if (!remset[c]) {
-				out.push(c);
+		each(elements, (e) => {
+			try {
+				mountComponent(e);
+			} catch (err) {
+				console.error('DOMJunk: Error mounting component "' + e.getAttribute('data-component') + '":', err);
 			}
 		});
-		if (isBlank(out))
-			this.removeAttribute('class');
-		else
-			this.className = out.join(" ");
 	};
 
-	/**
-	 * Toggles the presence of a set of CSS classes in each element in the SelectionGroup.
-	 * If the class exists, it is removed, and if the class does not exist, it is added.
-	 * @param {string} classNames... the vararg list of class names to toggle in each element.
-	 */
-	const $classToggle = function(/* classNames... */) {
-		const classNames = arguments;
-		const classes = this.className.trim().length > 0 ? this.className.split(/\s+/) : [];
-		const classSet = fold({}, (obj) => {
-			classes.map((c) => {obj[c] = true;});
+	// Unmounts the components on an element and its descendants.
+	const unmountComponents = function(element) {
+		const elements = [element, ...element.querySelectorAll('[data-component]')];
+		each(elements, (e) => {
+			const instance = COMPONENTINSTANCES.get(e);
+			instance && instance.unmount();
 		});
-		const argSet = fold({}, (obj) => {
-			each(classNames, (c) => {
-				obj[c] = true;
+	};
+
+	let COMPONENTWATCHING = false;
+
+	// Starts mounting components on elements that are in or added to the document.
+	const startComponentWatching = function() {
+		if (COMPONENTWATCHING) {
+			return;
+		}
+		COMPONENTWATCHING = true;
+		whenDocumentParsed(() => {
+			watchDocument({
+				selector: '[data-component]',
+				added: (element) => {
+					try {
+						mountComponent(element);
+					} catch (err) {
+						console.error('DOMJunk: Error mounting component "' + element.getAttribute('data-component') + '":', err);
+					}
+				},
+				removed: (element) => {
+					const instance = COMPONENTINSTANCES.get(element);
+					instance && instance.unmount();
+				}
 			});
+			mountComponents(document.documentElement);
 		});
-		
-		const out = [];
+	};
 
-		for (let i = 0; i < classes.length; i++) {
-			const name = classes[i];
-			if (!argSet[name]) {
-				out.push(name);
-			}
-		}
-		for (let i = 0; i < classNames.length; i++) {
-			const name = classNames[i];
-			if (!classSet[name]) {
-				out.push(name);
-			}
-		}
+	// Unmounts components when their element is removed via remove().
+	CLEANUPFUNCS.push((element) => {
+		const instance = COMPONENTINSTANCES.get(element);
+		instance && instance.unmount();
+	});
 
-		if (isBlank(out))
-			this.removeAttribute('class');
-		else
-			this.className = out.join(" ");
+	/**
+	 * Gets the component mounted on the first element in the SelectionGroup.
+	 * @returns {Component} the mounted component, or null if none.
+	 */
+	const $component = function() {
+		return this.length > 0 ? (COMPONENTINSTANCES.get(this[0]) || null) : null;
 	};
 
+
+	/********************************************************************/
+	/** Custom Elements                                                **/
 	/********************************************************************/
 
-	/**
-	 * Scrapes a form element for its values and returns an object of the name-value pairings of the form fields,
-	 * or an object mapping (name/id for key).
-	 * The 'id' attribute is used if 'name' is not provided. Unnamed, disabled, or unchecked form elements are not scraped.
-	 * @param {function} callback (optional) if provided, call this function with one argument: the data returned.
-	 * @returns an object of the name/value pairings of the form fields, or the pass-through selection group if a callback was provided.
-	 */
-	const $form = function(callback) {
-		
-		if (!isUndefined(callback) && !isFunction(callback)) {
-			throw new Error("Callback function for formData must be a function!");
-		}
-		
-		const formData = {};
+	// Custom element definition -> shared CSSStyleSheet, for documents that support adopted stylesheets.
+	const DEFINITIONSTYLESHEETS = new WeakMap();
 
-		const GATHERFUNC = function() {
-			const memberName = this.getAttribute('name');
-			if (!!memberName) {
-				if (!this.disabled) {
-					const t = this.getAttribute('type');
-					const v = (t === 'checkbox' || t === 'radio') 
-						? this.checked && this.value
-						: this.value;
-					if (v) {
-						if (isObject(formData[memberName])) {
-							formData[memberName].push(v);
-						}
-						else if (formData[memberName]) {
-							let arr = [formData[memberName], v];
-							formData[memberName] = arr;
-						}
-						else {
-							formData[memberName] = v;
-						}
-					}
-				}
-			}
-		};
+	// Custom element -> its shadow root (kept so that closed shadow roots can be rendered into).
+	const ELEMENTROOTS = new WeakMap();
 
-		(new SelectionGroup(this)).search('input, textarea, select').each(GATHERFUNC);
+	// Gets a custom element definition's styles as one CSS string.
+	const getDefinitionStyles = function(definition) {
+		return isArray(definition.styles) ? definition.styles.join('\n') : (definition.styles || '');
+	};
 
-		if (callback) {
-			callback(formData);
-			return this;
+	// Adds a custom element definition's styles to a shadow root.
+	// Uses one shared stylesheet per definition if supported, or else a style element.
+	const adoptDefinitionStyles = function(definition, root) {
+		const css = getDefinitionStyles(definition);
+		if (!css) {
+			return;
+		}
+		if ('adoptedStyleSheets' in root && CTX.CSSStyleSheet && CSSStyleSheet.prototype.replaceSync) {
+			let sheet = DEFINITIONSTYLESHEETS.get(definition);
+			if (!sheet) {
+				sheet = new CSSStyleSheet();
+				sheet.replaceSync(css);
+				DEFINITIONSTYLESHEETS.set(definition, sheet);
+			}
+			root.adoptedStyleSheets = [ ...root.adoptedStyleSheets, sheet];
 		}
 		else {
-			return formData;
+			root.insertBefore(createElement('style', null, createText(css)), root.firstChild);
 		}
 	};
 
+	// Gets an element's attributes as an object with camel-cased names.
+	const getAttributeModel = function(element) {
+		const out = {};
+		each([ ...element.attributes], (attr) => {
+			out[toCamelCase(attr.name)] = attr.value;
+		});
+		return out;
+	};
+
+	/********************************************************************/
+	/** Behaviors                                                      **/
 	/********************************************************************/
 
-	/**
-	 * Attaches a function to a DOM element event handler.
-	 * The function should take a single parameter: the event that triggered this.
-	 * @param {string} eventName the event name (for example, "mouseenter", "click", etc.).
-	 * @param {Function} func the function to attach.
-	 */
-	const $attach = function(eventName, func) {
-		this.addEventListener(eventName, func);
+	// Element -> Map of behavior -> detach function, for the behaviors attached to it.
+	const BEHAVIORSATTACHED = new WeakMap();
+
+	// Attaches a behavior to an element, if not attached.
+	const attachBehavior = function(behavior, element) {
+		let attached = BEHAVIORSATTACHED.get(element);
+		if (!attached) {
+			attached = new Map();
+			BEHAVIORSATTACHED.set(element, attached);
+		}
+		if (attached.has(behavior)) {
+			return;
+		}
+		attached.set(behavior, null);
+		behavior.elements.add(element);
+		try {
+			const result = behavior.definition.attach && behavior.definition.attach.call(element, element);
+			attached.set(behavior, isCallable(result) ? result : null);
+		} catch (err) {
+			console.error('DOMJunk: Error attaching behavior "' + behavior.selector + '":', err);
+		}
 	};
 
-	/**
-	 * Detaches a function from a DOM element event handler (the "on" members).
-	 * @param {string} eventName the event name (for example, "mouseenter", "click", etc.).
-	 * @param {Function} func the function to detach.
-	 */
-	const $detach = function(eventName, func) {
-		this.removeEventListener(eventName, func);
+	// Detaches a behavior from an element, if attached.
+	const detachBehavior = function(behavior, element) {
+		const attached = BEHAVIORSATTACHED.get(element);
+		if (!attached || !attached.has(behavior)) {
+			return;
+		}
+		const cleanup = attached.get(behavior);
+		attached.delete(behavior);
+		behavior.elements.delete(element);
+		try {
+			cleanup && cleanup.call(element, element);
+			behavior.definition.detach && behavior.definition.detach.call(element, element);
+		} catch (err) {
+			console.error('DOMJunk: Error detaching behavior "' + behavior.selector + '":', err);
+		}
 	};
 
+	/********************************************************************/
+	/** Dialogs                                                        **/
 	/********************************************************************/
 
-	/**
-	 * Wraps a single element in the SelectionGroup in a new SelectionGroup.
-	 * @param {number} index the index of the selected element.
-	 * @returns {SelectionGroup} the new SelectionGroup of matching elements.
-	 */
-	const $get = function(index) {
-		return new SelectionGroup(this[index]);
-	};
+	let DIALOGCOUNTER = 0;
 
-	/**
-	 * Wraps the first element in the SelectionGroup in a new SelectionGroup.
-	 * @returns {SelectionGroup} the new SelectionGroup.
-	 */
-	const $first = function() {
-		return new SelectionGroup(this[0]);
+	let TOASTCONTAINER = null;
+
+	// Turns a dialog or toast button (a label, or {label, value, className, autofocus}) into an object.
+	// A label's value is the label itself, and an object's value defaults to its index.
+	const toDialogButton = function(button, index) {
+		return isString(button) ? { label: button, value: button } : { value: index, ...button };
 	};
 
-	/**
-	 * Wraps the last element in the SelectionGroup in a new SelectionGroup.
-	 * @returns {SelectionGroup} the new SelectionGroup.
-	 */
-	const $last = function() {
-		return new SelectionGroup(this[this.length - 1]);
+	const createDialogButton = function(classPrefix, button, index) {
+		const element = createElement('button', {
+			'type': 'button',
+			'class': classPrefix + '-button' + (button.className ? ' ' + button.className : ''),
+			'data-index': index
+		}, createText(button.label));
+		if (button.autofocus) {
+			element.setAttribute('autofocus', '');
+		}
+		return element;
 	};
 
-	/**
-	 * Takes a single object where the keys are selector queries to run via .search() and
-	 * corresponding values are functions to call on the selection results via .each().
-	 * @param {Object} selectorMap the mapping of selector strings to functions.
-	 */
-	const $apply = function(selectorMap) {
-		each(selectorMap, (v, k) => {
-			this.search(k).each(v);
-		});
-		return this;
+	// Adds content to a dialog or toast part: text (not parsed as HTML), or a node, SelectionGroup, or list of nodes.
+	const appendDialogContent = function(element, content) {
+		if (isUndefined(content) || isNull(content)) {
+			return;
+		}
+		else if (isString(content) || isNumber(content)) {
+			element.appendChild(createText(String(content)));
+		}
+		else {
+			(new SelectionGroup(element, true)).append(content);
+		}
 	};
 
-	/**
-	 * Unwraps a query, returning every element in the query as-is.
-	 * @returns {Array} the array of elements. 
-	 */
-	const $elements = function() {
-		return [ ...this];
+	// Gives a dialog or toast's Promise (or one made from it) the "element" and "close" members of its handle {element, close}.
+	const withDialogHandle = function(handle, promise) {
+		promise.element = handle.element;
+		promise.close = handle.close;
+		return promise;
 	};
 
+	const getToastContainer = function() {
+		if (!TOASTCONTAINER || !TOASTCONTAINER.isConnected) {
+			TOASTCONTAINER = createElement('div', {
+				'class': 'domjunk-toasts',
+				'role': 'region',
+				'aria-label': 'Notifications'
+			});
+			document.body.appendChild(TOASTCONTAINER);
+		}
+		return TOASTCONTAINER;
+	};
 
 	/********************************************************************/
 	/** Exported                                                       **/
@@ -792,48 +5206,363 @@
 				;
 			}
 		}
+		else if (isNumber(query)) {
+			return new SelectionGroup(query, true);
+		}
 		else {
 			return new SelectionGroup(query)
 		}
 	};
 
+	// Wraps a function so that it is called once per element in a SelectionGroup (see DOMJunk.extend()).
+	const wrapElementMethod = function(func) {
+		return function() {
+			let retval;
+			for (let i = 0; i < this.length && isUndefined(retval); i++) {
+				retval = func.apply(this[i], arguments);
+			}
+			return isUndefined(retval) ? this : retval;
+		};
+	};
+
+	// Wraps a function so that its results for each element are combined into a SelectionGroup (see DOMJunk.extendTraversal()).
+	const wrapTraversalMethod = function(func) {
+		return function() {
+			// Live lists from a single element are already unique and in document order.
+			if (this.length === 1) {
+				const result = func.apply(this[0], arguments);
+				if (result instanceof NodeList || result instanceof HTMLCollection) {
+					return new SelectionGroup(result);
+				}
+				return new SelectionGroup(sortByDocumentOrder(uniqueNodes(toNodeArray(result))));
+			}
+			const out = [];
+			for (let i = 0; i < this.length; i++) {
+				out.push(...toNodeArray(func.apply(this[i], arguments)));
+			}
+			return new SelectionGroup(sortByDocumentOrder(uniqueNodes(out)));
+		};
+	};
+
+	// Wraps a function so that it is called on a whole SelectionGroup (see DOMJunk.extendSelection()).
+	const wrapSelectionMethod = function(func) {
+		return function() {
+			return func.apply(this, arguments);
+		};
+	};
+
 	/**
 	 * Adds a wrapped function to the SelectionGroup prototype.
 	 * The function's [this] keyword becomes each element.
 	 * When the function is called, it is called once per element, unless the function returns a value.
 	 * If the function returns a value (not undefined), it is returned as the result.
 	 * If it never returned a function, the SelectionGroup instance is returned as the result.
+	 * To add functions without replacing others by accident, see DOMJunk.plugin().
 	 * @param {string} name the name of the function to add to all query results.
 	 * @param {Function} func the function itself (cannot be a lambda closure).
 	 */
 	DOMJunk.extend = function(name, func) {
-		if (SelectionGroup.prototype[name]) {
+		if (name in SelectionGroup.prototype) {
 			console.warn('DOMJunk: Overriding existing function: ' + name);
 		}
-		SelectionGroup.prototype[name] = function() {
-			let retval;
-			for (let i = 0; i < this.length && isUndefined(retval); i++) {
-				retval = func.apply(this[i], arguments);
+		SelectionGroup.prototype[name] = wrapElementMethod(func);
+	};
+
+	/**
+	 * Adds a wrapped traversal function to the SelectionGroup prototype.
+	 * The function's [this] keyword becomes each element.
+	 * When the function is called, it is called once per element, and should return an element, 
+	 * a list of elements (Array, NodeList, HTMLCollection, SelectionGroup), or null/undefined for none.
+	 * All of the returned elements are combined into a new SelectionGroup, without duplicates and in document order.
+	 * @param {string} name the name of the function to add to all query results.
+	 * @param {Function} func the function itself (cannot be a lambda closure).
+	 */
+	DOMJunk.extendTraversal = function(name, func) {
+		if (name in SelectionGroup.prototype) {
+			console.warn('DOMJunk: Overriding existing function: ' + name);
+		}
+		SelectionGroup.prototype[name] = wrapTraversalMethod(func);
+	};
+
+	/**
+	 * Adds a wrapped function to the SelectionGroup prototype.
+	 * The function's [this] keyword becomes the SelectionGroup itself.
+	 * @param {string} name the name of the function to add.
+	 * @param {Function} func the function to add (cannot be a lambda closure).
+	 */
+	DOMJunk.extendSelection = function(name, func) {
+		if (name in SelectionGroup.prototype) {
+			console.warn('DOMJunk: Overriding existing function: ' + name);
+		}
+		SelectionGroup.prototype[name] = wrapSelectionMethod(func);
+	};
+
+	// Plugin name -> installed plugin: {name, version, requires, definition, members}.
+	// Each member is {kind, target, name, value, hadPrevious, previous}.
+	const PLUGINS = new Map();
+
+	// Plugin definition member lists -> how each function is added.
+	const PLUGINMEMBERKINDS = {
+		methods: wrapElementMethod,
+		traversalMethods: wrapTraversalMethod,
+		selectionMethods: wrapSelectionMethod,
+		statics: (value) => value
+	};
+
+	// Parses a version like "1.2.3" into [major, minor, patch]. Missing parts are 0.
+	const parseVersion = function(version) {
+		const parts = String(version).trim().replace(/^v/, '').split(/[.+-]/);
+		return [0, 1, 2].map((i) => parseInt(parts[i], 10) || 0);
+	};
+
+	const compareVersions = function(a, b) {
+		const va = parseVersion(a);
+		const vb = parseVersion(b);
+		for (let i = 0; i < 3; i++) {
+			if (va[i] !== vb[i])
+				return va[i] < vb[i] ? -1 : 1;
+		}
+		return 0;
+	};
+
+	// Checks a version against a range. Ranges are "*", or conditions separated by spaces that must all match:
+	// "1.2.3" or "=1.2.3" (exactly), ">1.2.3", ">=1.2.3", "<1.2.3", "<=1.2.3", 
+	// "^1.2.3" (same major version, at least this one), or "~1.2.3" (same minor version, at least this one).
+	const versionSatisfies = function(version, range) {
+		range = isUndefined(range) || isNull(range) ? '*' : String(range).trim();
+		if (range === '*' || range === '') {
+			return true;
+		}
+		if (isUndefined(version) || isNull(version)) {
+			return false;
+		}
+		return range.split(/\s+/).every((condition) => {
+			const match = /^(>=|<=|>|<|=|\^|~)?(.+)$/.exec(condition);
+			const operator = match[1] || '=';
+			const target = match[2];
+			const comparison = compareVersions(version, target);
+			const v = parseVersion(version);
+			const t = parseVersion(target);
+			switch (operator) {
+				case '>=': return comparison >= 0;
+				case '<=': return comparison <= 0;
+				case '>': return comparison > 0;
+				case '<': return comparison < 0;
+				case '^': return comparison >= 0 && v[0] === t[0];
+				case '~': return comparison >= 0 && v[0] === t[0] && v[1] === t[1];
+				default: return comparison === 0;
 			}
-			return isUndefined(retval) ? this : retval;
+		});
+	};
+
+	// Describes who added the current value of a member, for conflict errors.
+	const describeMemberOwner = function(target, name) {
+		for (const plugin of PLUGINS.values()) {
+			if (plugin.members.some((m) => m.target === target && m.name === name && m.value === target[name])) {
+				return 'plugin "' + plugin.name + '"';
+			}
+		}
+		return target.hasOwnProperty(name) ? 'DOMJunk' : 'a built-in';
+	};
+
+	// Removes a plugin's members, restoring whatever they replaced.
+	const removePluginMembers = function(plugin) {
+		for (let i = plugin.members.length - 1; i >= 0; i--) {
+			const member = plugin.members[i];
+			if (member.target[member.name] === member.value) {
+				if (member.hadPrevious) {
+					member.target[member.name] = member.previous;
+				}
+				else {
+					delete member.target[member.name];
+				}
+			}
+			// A plugin that replaced this member now replaces what this member replaced.
+			for (const other of PLUGINS.values()) {
+				each(other.members, (m) => {
+					if (m.target === member.target && m.name === member.name && m.previous === member.value) {
+						m.hadPrevious = member.hadPrevious;
+						m.previous = member.previous;
+					}
+				});
+			}
+		}
+		plugin.members = [];
+	};
+
+	// Uninstalls a plugin without checking its dependents.
+	const uninstallPlugin = function(plugin) {
+		try {
+			plugin.definition.uninstall && plugin.definition.uninstall.call(DOMJunk, DOMJunk);
+		} catch (err) {
+			console.error('DOMJunk: Error uninstalling plugin "' + plugin.name + '":', err);
+		}
+		removePluginMembers(plugin);
+		PLUGINS.delete(plugin.name);
+	};
+
+	/**
+	 * Installs a plugin: a named set of SelectionGroup functions and DOMJunk members that can be
+	 * checked for (see DOMJunk.plugins()), required by other plugins, and removed (see DOMJunk.removePlugin()).
+	 * Unlike DOMJunk.extend(), a plugin that would replace an existing function or member (including inherited ones, 
+	 * like the Array functions of SelectionGroups) is refused, unless the plugin has "override: true". 
+	 * If the plugin is removed, the replaced functions are restored.
+	 * @param {string} name the plugin name.
+	 * @param {Object} definition the plugin definition:
+	 * 		version (string): (optional) the plugin version, like "1.2.3".
+	 * 		requires (Object | Array): (optional) a map of required plugin name to version range, or a list of
+	 * 			required plugin names (any version). Version ranges are "*" (any), or one or more of "1.2.3" (exactly),
+	 * 			">1.2.3", ">=1.2.3", "<1.2.3", "<=1.2.3", "^1.2.3" (same major version), or "~1.2.3" (same minor version),
+	 * 			separated by spaces.
+	 * 		methods (Object): (optional) a map of name to function to add as with DOMJunk.extend().
+	 * 		traversalMethods (Object): (optional) a map of name to function to add as with DOMJunk.extendTraversal().
+	 * 		selectionMethods (Object): (optional) a map of name to function to add as with DOMJunk.extendSelection().
+	 * 		statics (Object): (optional) a map of name to value to add to DOMJunk.
+	 * 		install (Function): (optional) called after the members are added. "this" and the first parameter are DOMJunk.
+	 * 			If it throws an error, the plugin is not installed.
+	 * 		uninstall (Function): (optional) called when the plugin is removed, before its members are removed.
+	 * 			"this" and the first parameter are DOMJunk.
+	 * 		override (boolean): (optional) if true, replace existing functions, members, and a plugin of the same name. Default: false.
+	 * @throws Error if a required plugin is missing or has the wrong version, or if the plugin conflicts with existing members.
+	 */
+	DOMJunk.plugin = function(name, definition) {
+		const existing = PLUGINS.get(name);
+		if (existing && !definition.override) {
+			throw new Error('Plugin "' + name + '" is already installed.');
+		}
+
+		const requires = {};
+		if (isArray(definition.requires)) {
+			each(definition.requires, (required) => {
+				requires[required] = '*';
+			});
+		}
+		else {
+			Object.assign(requires, definition.requires);
+		}
+		each(requires, (range, required) => {
+			const plugin = PLUGINS.get(required);
+			if (!plugin) {
+				throw new Error('Plugin "' + name + '" requires plugin "' + required + '", which is not installed.');
+			}
+			if (!versionSatisfies(plugin.version, range)) {
+				throw new Error('Plugin "' + name + '" requires plugin "' + required + '" version "' + range + '", but version "' + plugin.version + '" is installed.');
+			}
+		});
+
+		if (existing) {
+			uninstallPlugin(existing);
+		}
+
+		const members = [];
+		each(PLUGINMEMBERKINDS, (wrap, kind) => {
+			const target = kind === 'statics' ? DOMJunk : SelectionGroup.prototype;
+			each(definition[kind], (value, memberName) => {
+				members.push({ kind: kind, target: target, name: memberName, value: wrap(value) });
+			});
+		});
+
+		if (!definition.override) {
+			const conflicts = members
+				.filter((m) => m.name in m.target)
+				.map((m) => m.name + ' (from ' + describeMemberOwner(m.target, m.name) + ')');
+			if (conflicts.length > 0) {
+				throw new Error('Plugin "' + name + '" conflicts with existing members: ' + conflicts.join(', ') + '. Use "override: true" to replace them.');
+			}
+		}
+
+		const plugin = {
+			name: name,
+			version: isUndefined(definition.version) ? null : definition.version,
+			requires: requires,
+			definition: definition,
+			members: []
 		};
+		each(members, (member) => {
+			member.hadPrevious = member.target.hasOwnProperty(member.name);
+			member.previous = member.target[member.name];
+			member.target[member.name] = member.value;
+			plugin.members.push(member);
+		});
+		PLUGINS.set(name, plugin);
+
+		if (definition.install) {
+			try {
+				definition.install.call(DOMJunk, DOMJunk);
+			} catch (err) {
+				removePluginMembers(plugin);
+				PLUGINS.delete(name);
+				throw err;
+			}
+		}
 	};
 
 	/**
-	 * Adds a wrapped function to the SelectionGroup prototype.
-	 * The function's [this] keyword becomes the SelectionGroup itself.
-	 * @param {string} name the name of the function to add.
-	 * @param {Function} func the function to add (cannot be a lambda closure).
+	 * Removes an installed plugin: calls its "uninstall" function, removes the functions and members it added,
+	 * and restores the ones it replaced.
+	 * @param {string} name the plugin name.
+	 * @returns {boolean} true if the plugin was installed and is now removed, false if it was not installed.
+	 * @throws Error if another installed plugin requires this one.
 	 */
-	DOMJunk.extendSelection = function(name, func) {
-		if (SelectionGroup.prototype[name]) {
-			console.warn('DOMJunk: Overriding existing function: ' + name);
+	DOMJunk.removePlugin = function(name) {
+		const plugin = PLUGINS.get(name);
+		if (!plugin) {
+			return false;
 		}
-		SelectionGroup.prototype[name] = function() {
-			return func.apply(this, arguments);
+		const dependents = [ ...PLUGINS.values()].filter((p) => p.requires.hasOwnProperty(name)).map((p) => p.name);
+		if (dependents.length > 0) {
+			throw new Error('Plugin "' + name + '" is required by installed plugins: ' + dependents.join(', '));
+		}
+		uninstallPlugin(plugin);
+		return true;
+	};
+
+	/**
+	 * Gets information on the installed plugins.
+	 * Each is an object with {name, version, requires, methods, traversalMethods, selectionMethods, statics},
+	 * where "requires" is a map of plugin name to version range, and the rest are lists of the names it added.
+	 * @param {string} name (optional) if provided, get only this plugin's information.
+	 * @returns {Array | Object} the list of installed plugins in the order they were installed, 
+	 * 		or the named plugin's information (null if not installed).
+	 */
+	DOMJunk.plugins = function(name) {
+		const describe = (plugin) => {
+			const out = {
+				name: plugin.name,
+				version: plugin.version,
+				requires: { ...plugin.requires }
+			};
+			each(PLUGINMEMBERKINDS, (wrap, kind) => {
+				out[kind] = plugin.members.filter((m) => m.kind === kind).map((m) => m.name);
+			});
+			return out;
 		};
+		if (!isUndefined(name)) {
+			return PLUGINS.has(name) ? describe(PLUGINS.get(name)) : null;
+		}
+		return [ ...PLUGINS.values()].map(describe);
 	};
 	
+	/**
+	 * Gets an element's data object (the same data as data() on a SelectionGroup), creating it if needed.
+	 * Changes to the returned object are changes to the element's data.
+	 * Elements generated by refillList() and templates have their model object stored as "model".
+	 * @param {Element} element the element (or SelectionGroup - the first element is used).
+	 * @param {string} key (optional) if provided, return just this key's value (see data() for 'data-*' attribute fallback).
+	 * @param {*} value (optional) if provided, set the key to this value.
+	 * @returns {*} the data object, the value of the key, or undefined if setting.
+	 */
+	DOMJunk.data = function(element, key, value) {
+		if (element instanceof SelectionGroup) {
+			element = element[0];
+		}
+		if (isUndefined(key)) {
+			return getDataStore(element, true);
+		}
+		const out = $data.call(element, key, value);
+		return isUndefined(value) ? out : undefined;
+	};
+
 	/**
 	 * Auto-selects a series of selection groups using an object that maps
 	 * member name to selector query or function that returns a SelectionGroup.
@@ -849,7 +5578,7 @@
 			let value = null;
 			if (isString(selector)) {
 				value = DOMJunk(selector);
-			} else if (isFunction(selector)) {
+			} else if (isCallable(selector)) {
 				value = selector();
 			} else {
 				value = selector;
@@ -865,59 +5594,655 @@
 	 * it, and returning a generated element. The template content is assumed to have
 	 * "handlebar" tokens in them ("{{tokenName}}") that contain the name of the member to resolve
 	 * in the model. The names can be separated by dots (".") to resolve child elements in the model.
+	 * Values are HTML-escaped, unless written as "{{{tokenName}}}" or "{{&tokenName}}".
+	 * Missing members along a path resolve to nothing instead of failing the render.
+	 * Values can be piped through filters, for example "{{price | currency:'USD'}}" (see DOMJunk.templateFilter()).
+	 * 
+	 * Templates can also contain blocks (Mustache/Handlebars-style):
+	 * 		{{#if name}}...{{else}}...{{/if}}: renders the first part if the value is truthy (and not an empty array), else the second.
+	 * 		{{#unless name}}...{{else}}...{{/unless}}: the inverse of "if".
+	 * 		{{#each name}}...{{else}}...{{/each}}: renders once per element of an Array or member of an Object, 
+	 * 			or the "else" part if empty. Inside, "{{this}}" is the current element, and "{{@index}}", "{{@key}}", 
+	 * 			"{{@first}}" and "{{@last}}" describe its position.
+	 * 		{{#name}}...{{/name}}: a section. Repeats for Arrays, uses the value as the context for Objects, 
+	 * 			renders once for other truthy values, and renders nothing for falsy values.
+	 * 		{{^name}}...{{/name}}: an inverted section. Renders only if the value is falsy or an empty array.
+	 * 		{{> partialName}} or {{> partialName name}}: renders a partial registered via DOMJunk.templatePartial(), 
+	 * 			optionally with a different context.
+	 * 		{{! comment}}: renders nothing.
+	 * Names not found in the current context are looked up in the enclosing contexts. "../name" refers to the
+	 * enclosing context directly, and "@root" is the model passed in.
+	 * The template is compiled on first use and cached for the template element (see DOMJunk.compileTemplate()).
+	 * Each generated element has the model object it was made from stored as its "model" data (see DOMJunk.data()).
 	 * @param {Element} templateElement the template element or a query containing
-	 * 		a template element to use as the template.
+	 * 		a template element to use as the template, or a compiled template from DOMJunk.compileTemplate().
 	 * @param {Object | Array} model a model to use for filling the template.
 	 * 		If model is an Array, multiple templates are made and returned.
 	 * @returns {Array} an array of generated elements.
 	 */
 	DOMJunk.createTemplateElements = function(templateElement, model) {
-		const templateData = document.importNode(templateElement, true);
-		const templateContent = templateData.innerHTML.trim();
-
-		const _GENERATEELEMENT = (modelObject) => {
-			const matches = templateContent.match(/{{.+?}}/g);
-			let lastSearchIndex = 0;
-			let outHTML = '';
-			if (matches) {
-				for (let i = 0; i < matches.length; i++) {
-					const token = matches[i]; // has handlebars
-					let matchIndex = templateContent.indexOf(token, lastSearchIndex);
-					if (matchIndex >= 0) {
-						outHTML += templateContent.substring(lastSearchIndex, matchIndex);
-						const expression = token.substring(2, token.length - 2);
-						const expressionChain = expression.split(".");
-						let result = modelObject;
-						for (let j = 0; j < expressionChain.length; j++) {
-							result = result[expressionChain[j]];
-						}
-						if (!isUndefined(result)) {
-							outHTML += isNull(result) ? '' : HTML_ESCAPE(result.toString());
-						}
-						lastSearchIndex = matchIndex + token.length;
-					}
-				}
-				outHTML += templateContent.substring(lastSearchIndex);
+		return getCompiledTemplate(templateElement)(model);
+	};
+
+	/**
+	 * Compiles a template into a reusable render function, so that the template is only parsed once.
+	 * Templates used by DOMJunk.createTemplateElements() and refillTemplate() are compiled and cached 
+	 * per template element automatically (see DOMJunk.clearTemplateCache()).
+	 * @param {*} templateElement the template element, a SelectionGroup containing a template element, or template text.
+	 * @returns {Function} a function that takes a model (Object or Array) and returns an array of generated elements,
+	 * 		just like DOMJunk.createTemplateElements(). The function's "html" member takes a single model object and 
+	 * 		returns the generated HTML text.
+	 */
+	DOMJunk.compileTemplate = compileTemplate;
+
+	/**
+	 * Removes a template element's cached compiled template, so that changes to the template's content are seen.
+	 * @param {Element} templateElement (optional) the template element or a SelectionGroup containing one. 
+	 * 		If not provided, every cached template is removed.
+	 */
+	DOMJunk.clearTemplateCache = function(templateElement) {
+		if (isUndefined(templateElement) || isNull(templateElement)) {
+			TEMPLATE_CACHE = new WeakMap();
+			return;
+		}
+		if (templateElement instanceof SelectionGroup) {
+			templateElement = templateElement[0];
+		}
+		TEMPLATE_CACHE.delete(templateElement);
+	};
+
+	/**
+	 * Registers a named partial template for use in other templates via "{{> name}}".
+	 * An unknown partial renders nothing (with a warning).
+	 * @param {string} name the partial name.
+	 * @param {*} template the template element, a SelectionGroup containing a template element, or template text.
+	 * 		If null or undefined, the partial is removed.
+	 */
+	DOMJunk.templatePartial = function(name, template) {
+		if (isUndefined(template) || isNull(template)) {
+			delete TEMPLATE_PARTIALS[name];
+		}
+		else {
+			TEMPLATE_PARTIALS[name] = compileTemplateNodes(parseTemplate(getTemplateContent(template)));
+		}
+	};
+
+	/**
+	 * Registers a named filter for use in template expressions via pipes, for example:
+	 * "{{price | currency:'USD'}}" or "{{name | upper | truncate:20}}".
+	 * The filter function is called with the value as the first parameter and
+	 * the filter arguments (separated by ":") as the rest. Arguments can be quoted strings, 
+	 * numbers, booleans, null, or paths to resolve from the model.
+	 * An unknown filter leaves the value unchanged (with a warning).
+	 * 
+	 * Built-in filters:
+	 * 		upper, lower, capitalize, trim: string case and whitespace.
+	 * 		truncate:length:suffix: shortens to a length, ending with a suffix (default "...").
+	 * 		default:value: replaces undefined, null or empty string with a value.
+	 * 		number:decimals:locale, currency:code:locale, percent:decimals:locale: locale-aware number formatting
+	 * 			(the value is left as is if the code or locale is invalid).
+	 * 		date:format:locale: date formatting. Format can be "iso", "short", "medium", "long", "full", 
+	 * 			or a pattern made of yyyy, yy, MM, M, dd, d, HH, H, hh, h, mm, m, ss, s, a.
+	 * 		json:indent: JSON text.
+	 * 		join:separator: joins an array.
+	 * @param {string} name the filter name.
+	 * @param {Function} func the filter function. If null or undefined, the filter is removed.
+	 */
+	DOMJunk.templateFilter = function(name, func) {
+		if (isUndefined(func) || isNull(func)) {
+			delete TEMPLATE_FILTERS[name];
+		}
+		else if (!isCallable(func)) {
+			throw new Error("Template filter must be a function!");
+		}
+		else {
+			if (TEMPLATE_FILTERS[name]) {
+				console.warn('DOMJunk: Overriding existing template filter: ' + name);
+			}
+			TEMPLATE_FILTERS[name] = func;
+		}
+	};
+
+	/**
+	 * Registers a named validator for use in formValidate() rules and 'data-validate' attributes.
+	 * @param {string} name the validator name.
+	 * @param {Function} func the validator function. It takes (value, args, field, formSelection):
+	 * 		value: the field value (an array for checkbox groups and multiple selects).
+	 * 		args: the array of argument strings from the rule (for example, "min:3" passes ["3"]).
+	 * 		field: the (first) field element.
+	 * 		formSelection: the SelectionGroup being validated.
+	 * 		It returns true (or undefined) if valid, false or an error message string if invalid, 
+	 * 		or a Promise that resolves to one of those.
+	 * 		If null or undefined, the validator is removed.
+	 * @param {string} message (optional) the default error message if the validator returns false. 
+	 * 		"{0}", "{1}", etc. are replaced with the arguments.
+	 */
+	DOMJunk.validator = function(name, func, message) {
+		if (isUndefined(func) || isNull(func)) {
+			delete VALIDATORS[name];
+		}
+		else if (!isCallable(func)) {
+			throw new Error("Validator must be a function!");
+		}
+		else {
+			if (VALIDATORS[name]) {
+				console.warn('DOMJunk: Overriding existing validator: ' + name);
 			}
+			VALIDATORS[name] = { func: func, message: message || null };
+		}
+	};
+
+	/**
+	 * Queues a function that reads from the document (sizes, positions, computed styles) to call on the next 
+	 * animation frame. All queued reads run before all queued writes (see DOMJunk.mutate()) in the same frame, 
+	 * so mixing reads and writes does not force the browser to lay out the document more than once.
+	 * @param {Function} func the function to call.
+	 * @returns {Promise} a Promise that resolves to the function's return value, or rejects if it throws an error.
+	 */
+	DOMJunk.measure = function(func) {
+		return queueFrameJob(MEASUREQUEUE, func);
+	};
+
+	/**
+	 * Queues a function that writes to the document (styles, classes, attributes, content) to call on the next 
+	 * animation frame, after all queued reads (see DOMJunk.measure()). Writes queued by reads in the same frame are 
+	 * applied in that frame.
+	 * @param {Function} func the function to call.
+	 * @returns {Promise} a Promise that resolves to the function's return value, or rejects if it throws an error.
+	 */
+	DOMJunk.mutate = function(func) {
+		return queueFrameJob(MUTATEQUEUE, func);
+	};
+
+	/**
+	 * Announces a message to screen readers via a managed, visually hidden aria-live region.
+	 * The same message can be announced more than once.
+	 * @param {string} message the message to announce.
+	 * @param {string} politeness (optional) 'polite' to wait until the screen reader is idle, 
+	 * 		or 'assertive' to interrupt it. Default: 'polite'.
+	 * @returns {Promise} a Promise that resolves when the message is in the live region.
+	 */
+	DOMJunk.announce = function(message, politeness) {
+		politeness = politeness || 'polite';
+		if (politeness !== 'polite' && politeness !== 'assertive') {
+			throw new Error("Unknown politeness: " + politeness);
+		}
+		const region = getLiveRegion(politeness);
+		const pending = LIVEPENDING[politeness];
+		if (pending) {
+			// Replaced by this message.
+			clearTimeout(pending.timeout);
+			pending.resolve();
+		}
+		region.textContent = '';
+		// Screen readers only announce changes, so the message is added after the region is cleared.
+		return new Promise((resolve) => {
+			LIVEPENDING[politeness] = {
+				resolve: resolve,
+				timeout: setTimeout(() => {
+					delete LIVEPENDING[politeness];
+					region.textContent = message;
+					resolve();
+				}, 50)
+			};
+		});
+	};
+
+	/**
+	 * Opens a dialog, using the native dialog element (modal, via showModal()), and removes it when it closes.
+	 * The dialog is unstyled, and has these classes for theming: "domjunk-dialog" (the dialog element),
+	 * "domjunk-dialog-title", "domjunk-dialog-content", "domjunk-dialog-buttons", and "domjunk-dialog-button".
+	 * Escape and clicks on the backdrop close it (if dismissible), and focus goes back to where it was when it closes.
+	 * @param {Object} options the options:
+	 * 		title (string): (optional) the title text.
+	 * 		content (*): (optional) the content: text (not parsed as HTML - see DOMJunk.h()), an element, 
+	 * 			a SelectionGroup, or a list of nodes.
+	 * 		buttons (Array): (optional) the buttons, in order: labels, or objects with
+	 * 			{label, value, className, autofocus} (value defaults to the button index). Default: ['OK'].
+	 * 		className (string): (optional) extra classes for the dialog element.
+	 * 		dismissible (boolean): (optional) if true, Escape and backdrop clicks close it with null. Default: true.
+	 * @returns {Promise} a Promise that resolves to the value of the button pressed, or null if dismissed.
+	 * 		It also has "element", the dialog element, and "close(value)", which closes it with a value.
+	 */
+	DOMJunk.dialog = function(options) {
+		const opt = { buttons: ['OK'], dismissible: true, ...options };
+		const id = 'domjunk-dialog-' + (DIALOGCOUNTER++);
+		const buttons = opt.buttons.map(toDialogButton);
+		const previous = document.activeElement;
+
+		const dialog = createElement('dialog', { 
+			'class': 'domjunk-dialog' + (opt.className ? ' ' + opt.className : ''), 
+			'id': id 
+		});
+		if (!isUndefined(opt.title) && !isNull(opt.title)) {
+			dialog.appendChild(createElement('h2', { 'class': 'domjunk-dialog-title', 'id': id + '-title' }, createText(opt.title)));
+			dialog.setAttribute('aria-labelledby', id + '-title');
+		}
+		const content = createElement('div', { 'class': 'domjunk-dialog-content', 'id': id + '-content' });
+		appendDialogContent(content, opt.content);
+		dialog.appendChild(content);
+		dialog.setAttribute('aria-describedby', id + '-content');
+		dialog.appendChild(createElement('div', { 'class': 'domjunk-dialog-buttons' }, 
+			buttons.map((button, i) => createDialogButton('domjunk-dialog', button, i))
+		));
+
+		const group = new SelectionGroup(dialog, true);
+		let trap = null;
+		let closed = false;
+		let resolveFunc;
+		const promise = new Promise((resolve) => {
+			resolveFunc = resolve;
+		});
 
-			return createHTML(outHTML);
+		const close = function(value) {
+			if (closed) {
+				return;
+			}
+			closed = true;
+			trap && trap.release();
+			if (dialog.open && isFunction(dialog.close)) {
+				dialog.close();
+			}
+			group.remove();
+			if (previous && previous.isConnected && isFunction(previous.focus)) {
+				previous.focus();
+			}
+			resolveFunc(isUndefined(value) ? null : value);
 		};
 
-		const generated = [];
-		if (isArray(model)) {
-			each(model, (m) => {
-				each (_GENERATEELEMENT(m), (e) => {
-					generated.push(e);
-				})
-			});
-			return generated;
+		group.attach('click', '.domjunk-dialog-button', function() {
+			close(buttons[parseInt(this.getAttribute('data-index'), 10)].value);
+		});
+		// Clicks on the backdrop land on the dialog element, outside of its box.
+		group.attach('click', function(event) {
+			if (event.target !== dialog || !opt.dismissible) {
+				return;
+			}
+			const rect = dialog.getBoundingClientRect();
+			if (event.clientX < rect.left || event.clientX > rect.right || event.clientY < rect.top || event.clientY > rect.bottom) {
+				close(null);
+			}
+		});
+		group.attach('keydown', function(event) {
+			if (event.key === 'Escape') {
+				event.preventDefault();
+				opt.dismissible && close(null);
+			}
+		});
+		// Native Escape handling.
+		group.attach('cancel', function(event) {
+			event.preventDefault();
+			opt.dismissible && close(null);
+		});
+
+		document.body.appendChild(dialog);
+		if (isFunction(dialog.showModal)) {
+			dialog.showModal();
 		}
 		else {
-			each (_GENERATEELEMENT(model), (e) => {
-				generated.push(e);
-			})
-			return generated;
+			// No native dialog support: keep focus in it, at least.
+			dialog.setAttribute('open', '');
+			dialog.setAttribute('aria-modal', 'true');
+			dialog.setAttribute('role', 'dialog');
+			trap = group.focusTrap({ initialFocus: '[autofocus]', returnFocus: false });
+		}
+
+		return withDialogHandle({ element: dialog, close: close }, promise);
+	};
+
+	/**
+	 * Asks a yes/no question with a dialog (see DOMJunk.dialog()) - a replacement for window.confirm().
+	 * The buttons also have the classes "domjunk-dialog-cancel" and "domjunk-dialog-ok", and the dialog has "domjunk-confirm".
+	 * @param {*} message the message (see the "content" option of DOMJunk.dialog()).
+	 * @param {Object} options (optional) the options:
+	 * 		title (string): the title text.
+	 * 		okLabel (string): the OK button text. Default: 'OK'.
+	 * 		cancelLabel (string): the Cancel button text. Default: 'Cancel'.
+	 * 		className (string): extra classes for the dialog element.
+	 * @returns {Promise} a Promise that resolves to true if OK was pressed, false if not.
+	 * 		It also has "element" and "close(value)", like DOMJunk.dialog().
+	 */
+	DOMJunk.confirm = function(message, options) {
+		const opt = { okLabel: 'OK', cancelLabel: 'Cancel', ...options };
+		const handle = DOMJunk.dialog({
+			title: opt.title,
+			content: message,
+			className: 'domjunk-confirm' + (opt.className ? ' ' + opt.className : ''),
+			buttons: [
+				{ label: opt.cancelLabel, value: false, className: 'domjunk-dialog-cancel' },
+				{ label: opt.okLabel, value: true, className: 'domjunk-dialog-ok', autofocus: true }
+			]
+		});
+		return withDialogHandle(handle, handle.then((value) => value === true));
+	};
+
+	/**
+	 * Asks for a line of input with a dialog (see DOMJunk.dialog()) - a replacement for window.prompt().
+	 * Pressing Enter in the input is the same as pressing OK.
+	 * The input has the class "domjunk-dialog-input", its label has "domjunk-dialog-label", the buttons also have the classes
+	 * "domjunk-dialog-cancel" and "domjunk-dialog-ok", and the dialog has "domjunk-prompt".
+	 * @param {string} message the message, used as the input's label.
+	 * @param {string} defaultValue (optional) the starting input value.
+	 * @param {Object} options (optional) the options:
+	 * 		title (string): the title text.
+	 * 		type (string): the input type. Default: 'text'.
+	 * 		okLabel (string): the OK button text. Default: 'OK'.
+	 * 		cancelLabel (string): the Cancel button text. Default: 'Cancel'.
+	 * 		className (string): extra classes for the dialog element.
+	 * @returns {Promise} a Promise that resolves to the input value if OK was pressed, or null if not.
+	 * 		It also has "element" and "close(value)", like DOMJunk.dialog().
+	 */
+	DOMJunk.prompt = function(message, defaultValue, options) {
+		const opt = { type: 'text', okLabel: 'OK', cancelLabel: 'Cancel', ...options };
+		const inputId = 'domjunk-dialog-input-' + (DIALOGCOUNTER++);
+		const input = createElement('input', { 'type': opt.type, 'class': 'domjunk-dialog-input', 'id': inputId, 'autofocus': '' });
+		input.value = isUndefined(defaultValue) || isNull(defaultValue) ? '' : String(defaultValue);
+		const label = createElement('label', { 'class': 'domjunk-dialog-label', 'for': inputId }, createText(message));
+
+		const handle = DOMJunk.dialog({
+			title: opt.title,
+			content: [label, input],
+			className: 'domjunk-prompt' + (opt.className ? ' ' + opt.className : ''),
+			buttons: [
+				{ label: opt.cancelLabel, value: false, className: 'domjunk-dialog-cancel' },
+				{ label: opt.okLabel, value: true, className: 'domjunk-dialog-ok' }
+			]
+		});
+		(new SelectionGroup(input, true)).attach('keydown', function(event) {
+			if (event.key === 'Enter') {
+				event.preventDefault();
+				handle.close(true);
+			}
+		});
+		return withDialogHandle(handle, handle.then((value) => value === true ? input.value : null));
+	};
+
+	/**
+	 * Shows a toast notification in a shared container (added to the end of the body), newest last.
+	 * Toasts are unstyled, and have these classes for theming: "domjunk-toasts" (the container), 
+	 * "domjunk-toast" and "domjunk-toast-[type]" (each toast), "domjunk-toast-message", "domjunk-toast-actions",
+	 * "domjunk-toast-button", and "domjunk-toast-close".
+	 * The timeout is paused while the pointer or focus is on the toast, and Escape closes it (if dismissible).
+	 * @param {*} message the message: text (not parsed as HTML - see DOMJunk.h()), an element, a SelectionGroup, or a list of nodes.
+	 * @param {Object} options (optional) the options:
+	 * 		type (string): the type, for example 'info', 'success', 'warning', or 'error'. Errors are announced right away
+	 * 			to screen readers (role "alert"), and the rest when idle (role "status"). Default: 'info'.
+	 * 		timeout (number): milliseconds until it closes by itself, or 0 to stay until closed. Default: 5000.
+	 * 		actions (Array): action buttons, like the "buttons" option of DOMJunk.dialog(). Default: none.
+	 * 		dismissible (boolean): if true, it has a close button, and Escape closes it. Default: true.
+	 * 		className (string): extra classes for the toast element.
+	 * @returns {Promise} a Promise that resolves to the value of the action pressed, or null if it timed out or was closed.
+	 * 		It also has "element", the toast element, and "close(value)", which closes it with a value.
+	 */
+	DOMJunk.toast = function(message, options) {
+		const opt = { type: 'info', timeout: 5000, actions: [], dismissible: true, ...options };
+		const actions = opt.actions.map(toDialogButton);
+
+		const toast = createElement('div', {
+			'class': 'domjunk-toast domjunk-toast-' + opt.type + (opt.className ? ' ' + opt.className : ''),
+			'role': opt.type === 'error' ? 'alert' : 'status'
+		});
+		const messageElement = createElement('div', { 'class': 'domjunk-toast-message' });
+		appendDialogContent(messageElement, message);
+		toast.appendChild(messageElement);
+		if (actions.length > 0) {
+			toast.appendChild(createElement('div', { 'class': 'domjunk-toast-actions' }, 
+				actions.map((action, i) => createDialogButton('domjunk-toast', action, i))
+			));
+		}
+		if (opt.dismissible) {
+			toast.appendChild(createElement('button', { 'type': 'button', 'class': 'domjunk-toast-close', 'aria-label': 'Close' }, createText('\u00d7')));
+		}
+
+		const group = new SelectionGroup(toast, true);
+		let closed = false;
+		let timer = null;
+		let remaining = opt.timeout;
+		let started = 0;
+		let resolveFunc;
+		const promise = new Promise((resolve) => {
+			resolveFunc = resolve;
+		});
+
+		const close = function(value) {
+			if (closed) {
+				return;
+			}
+			closed = true;
+			clearTimeout(timer);
+			group.remove();
+			resolveFunc(isUndefined(value) ? null : value);
+		};
+		const startTimer = function() {
+			if (opt.timeout > 0 && !timer && !closed) {
+				started = Date.now();
+				timer = setTimeout(() => close(null), remaining);
+			}
+		};
+		const pauseTimer = function() {
+			if (timer) {
+				clearTimeout(timer);
+				timer = null;
+				remaining = Math.max(0, remaining - (Date.now() - started));
+			}
+		};
+
+		group.attach('click', '.domjunk-toast-button', function() {
+			close(actions[parseInt(this.getAttribute('data-index'), 10)].value);
+		});
+		group.attach('click', '.domjunk-toast-close', function() {
+			close(null);
+		});
+		group.attach('keydown', function(event) {
+			if (event.key === 'Escape' && opt.dismissible) {
+				close(null);
+			}
+		});
+		group.attach('mouseenter focusin', pauseTimer);
+		group.attach('mouseleave focusout', function(event) {
+			if (event.type === 'focusout' && toast.contains(event.relatedTarget)) {
+				return;
+			}
+			startTimer();
+		});
+
+		getToastContainer().appendChild(toast);
+		startTimer();
+
+		return withDialogHandle({ element: toast, close: close }, promise);
+	};
+
+	/**
+	 * Registers a component.
+	 * Every element with a 'data-component' attribute set to the component name gets an instance of it mounted,
+	 * including elements added to the document later. When the element leaves the document, its instance is unmounted.
+	 * Each instance (see the Component class) has:
+	 * 		element: the root element.
+	 * 		root: a SelectionGroup of the root element.
+	 * 		props: the root element's data (see data()).
+	 * 		state: the instance's own state object.
+	 * 		search(query, one): searches inside the root element.
+	 * 		attach(eventName, selector, func): attaches a handler to the root element that is detached on unmount.
+	 * 		cleanup(func): adds a function to call on unmount.
+	 * 		setState(changes): merges changes into the state and renders the template again.
+	 * 		render(): renders the template again.
+	 * 		unmount(): unmounts the instance.
+	 * @param {string} name the component name.
+	 * @param {Object} definition the component definition:
+	 * 		template (*): (optional) the template to render into the root element with the state as the model 
+	 * 			(template element, SelectionGroup, template text, compiled template, or selector for a template element).
+	 * 		state (*): (optional) the initial state object, or a function that takes the props and returns it. Default: a copy of the props.
+	 * 		handlers (Object): (optional) a map of "eventName selector" (or just "eventName" for the root) to handler function.
+	 * 			Handlers are delegated from the root element, so they survive rendering. 
+	 * 			Each is called with the matched element as "this", the event, and the instance.
+	 * 		mounted (Function): (optional) called after mounting and the first render. "this" and the first parameter are the instance.
+	 * 		unmounted (Function): (optional) called on unmount. "this" and the first parameter are the instance.
+	 */
+	DOMJunk.component = function(name, definition) {
+		if (COMPONENTS[name]) {
+			console.warn('DOMJunk: Overriding existing component: ' + name);
+		}
+		COMPONENTS[name] = definition;
+		if (COMPONENTWATCHING && document.readyState !== 'loading') {
+			mountComponents(document.documentElement);
+		}
+		startComponentWatching();
+	};
+
+	/**
+	 * Mounts the components on an element (or the elements in a SelectionGroup) and its descendants that have a
+	 * 'data-component' attribute. Mounting happens on its own for elements in the document - this is for elements 
+	 * outside of it, or in a document without MutationObserver.
+	 * @param {*} target the element or SelectionGroup.
+	 */
+	DOMJunk.mount = function(target) {
+		each(toNodeArray(target), (element) => {
+			mountComponents(element);
+		});
+	};
+
+	/**
+	 * Unmounts the components on an element (or the elements in a SelectionGroup) and its descendants.
+	 * @param {*} target the element or SelectionGroup.
+	 */
+	DOMJunk.unmount = function(target) {
+		each(toNodeArray(target), (element) => {
+			unmountComponents(element);
+		});
+	};
+
+	/**
+	 * Defines a custom element (a web component) via customElements.define().
+	 * Each element gets a shadow root that the template is rendered into on first connect. The template's
+	 * model is the element's attributes, with camel-cased names ('max-value' becomes "maxValue").
+	 * Each element also has:
+	 * 		root: its shadow root.
+	 * 		render(model): renders the template again, with the attributes or the provided model.
+	 * 		search(query, one): searches inside its shadow root.
+	 * @param {string} tagName the element tag name (must contain a dash).
+	 * @param {Object} definition the element definition:
+	 * 		template (*): (optional) the template to render into the shadow root
+	 * 			(template element, SelectionGroup, template text, compiled template, or selector for a template element).
+	 * 		styles (string | Array): (optional) CSS text (or list of CSS texts) scoped to the shadow root.
+	 * 		observedAttributes (Array): (optional) the names of the attributes that cause "attributeChanged" calls.
+	 * 			Changes to these attributes render the template again once the element has been rendered.
+	 * 		mode (string): (optional) the shadow root mode, 'open' or 'closed'. Default: 'open'.
+	 * 		connected (Function): (optional) called when the element is added to a document, after rendering. "this" is the element.
+	 * 		disconnected (Function): (optional) called when the element is removed from a document. "this" is the element.
+	 * 		attributeChanged (Function): (optional) called with the attribute name, old value, and new value
+	 * 			when an observed attribute changes. "this" is the element.
+	 * @returns {Function} the new element class.
+	 */
+	DOMJunk.defineElement = function(tagName, definition) {
+		if (!CTX.customElements) {
+			throw new Error("Custom Elements are not supported.");
 		}
+		const observedAttributes = [ ...(definition.observedAttributes || [])];
+
+		class DefinedElement extends HTMLElement {
+			static get observedAttributes() {
+				return observedAttributes;
+			}
+
+			constructor() {
+				super();
+				const root = this.attachShadow({ mode: definition.mode || 'open' });
+				ELEMENTROOTS.set(this, root);
+				adoptDefinitionStyles(definition, root);
+				this.rendered = false;
+			}
+
+			get root() {
+				return ELEMENTROOTS.get(this);
+			}
+
+			render(model) {
+				const template = getDefinitionTemplate(definition);
+				if (template) {
+					const root = this.root;
+					const styleElement = root.firstChild && root.firstChild.nodeName === 'STYLE' ? root.firstChild : null;
+					(new SelectionGroup(root, true)).refillTemplate(template, model || getAttributeModel(this));
+					if (styleElement) {
+						root.insertBefore(styleElement, root.firstChild);
+					}
+				}
+				this.rendered = true;
+				return this;
+			}
+
+			search(query, one) {
+				return (new SelectionGroup(this.root, true)).search(query, one);
+			}
+
+			connectedCallback() {
+				if (!this.rendered) {
+					this.render();
+				}
+				definition.connected && definition.connected.call(this);
+			}
+
+			disconnectedCallback() {
+				definition.disconnected && definition.disconnected.call(this);
+			}
+
+			attributeChangedCallback(name, oldValue, newValue) {
+				if (this.rendered && oldValue !== newValue) {
+					this.render();
+				}
+				definition.attributeChanged && definition.attributeChanged.call(this, name, oldValue, newValue);
+			}
+		}
+
+		customElements.define(tagName, DefinedElement);
+		return DefinedElement;
+	};
+
+	/**
+	 * Adds a behavior: functions that are called for every element that matches a selector,
+	 * both for the elements in the document when it is ready and for any matching elements added later
+	 * (by refillList(), html(), append(), and so on, or by other scripts).
+	 * Elements are only matched when they are added, so an element whose attributes change afterwards to
+	 * match (or not match) the selector is not attached (or detached) until it is added again.
+	 * @param {string} selector the CSS selector for the elements.
+	 * @param {Object} definition the behavior definition:
+	 * 		attach (Function): (optional) called with each matching element when it enters the document.
+	 * 			"this" and the first parameter are the element. It can return a function to call on detach.
+	 * 		detach (Function): (optional) called with each element when it leaves the document (or the behavior is removed).
+	 * 			"this" and the first parameter are the element.
+	 * @returns {Function} a function that removes the behavior and detaches it from all of its elements.
+	 */
+	DOMJunk.behavior = function(selector, definition) {
+		const behavior = {
+			selector: selector,
+			definition: definition,
+			elements: new Set()
+		};
+		const watcher = {
+			selector: selector,
+			added: (element) => {
+				attachBehavior(behavior, element);
+			},
+			removed: (element) => {
+				detachBehavior(behavior, element);
+			}
+		};
+		let removed = false;
+		whenDocumentParsed(() => {
+			if (removed) {
+				return;
+			}
+			watchDocument(watcher);
+			each([ ...document.querySelectorAll(selector)], (element) => {
+				attachBehavior(behavior, element);
+			});
+		});
+		return function() {
+			removed = true;
+			unwatchDocument(watcher);
+			each([ ...behavior.elements], (element) => {
+				detachBehavior(behavior, element);
+			});
+		};
 	};
 
 	/********************************************************************/
@@ -957,17 +6282,43 @@
 	/********************************************************************/
 
 	DOMJunk.extend('each', $each);
-	DOMJunk.extend('search', $search);
-	DOMJunk.extend('child', $child);
-	DOMJunk.extend('children', $children);
-	DOMJunk.extend('parent', $parent);
-	DOMJunk.extend('ancestors', $ancestors);
-	DOMJunk.extend('descendants', $descendants);
-	DOMJunk.extend('siblings', $siblings);
+
+	DOMJunk.extendTraversal('search', $search);
+	DOMJunk.extendTraversal('child', $child);
+	DOMJunk.extendTraversal('children', $children);
+	DOMJunk.extendTraversal('parent', $parent);
+	DOMJunk.extendTraversal('ancestors', $ancestors);
+	DOMJunk.extendTraversal('closest', $closest);
+	DOMJunk.extendTraversal('descendants', $descendants);
+	DOMJunk.extendTraversal('searchDeep', $searchDeep);
+	DOMJunk.extendTraversal('shadow', $shadow);
+	DOMJunk.extendTraversal('siblings', $siblings);
+	DOMJunk.extendTraversal('next', $next);
+	DOMJunk.extendTraversal('prev', $prev);
+
+	DOMJunk.extendSelection('not', $not);
+	DOMJunk.extendSelection('is', $is);
+	DOMJunk.extendSelection('has', $has);
+	DOMJunk.extendSelection('index', $index);
+	DOMJunk.extendSelection('union', $union);
+	DOMJunk.extendSelection('intersect', $intersect);
+	DOMJunk.extendSelection('difference', $difference);
+	DOMJunk.extendSelection('add', $add);
+	DOMJunk.extendSelection('sortByDocumentOrder', $sortByDocumentOrder);
 
 	DOMJunk.extend('clear', $clear);
-	DOMJunk.extend('append', $append);
-	DOMJunk.extend('refill', $refill);
+	DOMJunk.extendSelection('append', $append);
+	DOMJunk.extendSelection('prepend', $prepend);
+	DOMJunk.extendSelection('insertAt', $insertAt);
+	DOMJunk.extendSelection('before', $before);
+	DOMJunk.extendSelection('after', $after);
+	DOMJunk.extendSelection('replaceWith', $replaceWith);
+	DOMJunk.extendSelection('remove', $remove);
+	DOMJunk.extendSelection('detachNodes', $detachNodes);
+	DOMJunk.extendSelection('wrap', $wrap);
+	DOMJunk.extendSelection('unwrap', $unwrap);
+	DOMJunk.extendSelection('clone', $clone);
+	DOMJunk.extendSelection('refill', $refill);
 	DOMJunk.extend('refillTemplate', $refillTemplate);
 	DOMJunk.extend('refillList', $refillList);
 	DOMJunk.extend('html', $html);
@@ -975,6 +6326,8 @@
 
 	DOMJunk.extend('set', $set);
 	DOMJunk.extend('merge', $merge);
+	DOMJunk.extend('data', $data);
+	DOMJunk.extend('removeData', $removeData);
 
 	DOMJunk.extend('style', $style);
 	DOMJunk.extend('attr', $attr);
@@ -985,16 +6338,74 @@
 	DOMJunk.extend('attach', $attach);
 	DOMJunk.extend('detach', $detach);
 
+	DOMJunk.extendSelection('trigger', $trigger);
 	DOMJunk.extendSelection('get', $get);
 	DOMJunk.extendSelection('first', $first);
 	DOMJunk.extendSelection('last', $last);
 	DOMJunk.extendSelection('form', $form);
+	DOMJunk.extendSelection('formFill', $formFill);
+	DOMJunk.extendSelection('formValidate', $formValidate);
 	DOMJunk.extendSelection('apply', $apply);
 	DOMJunk.extendSelection('elements', $elements);
 
+	DOMJunk.extend('show', $show);
+	DOMJunk.extend('hide', $hide);
+	DOMJunk.extendSelection('animate', $animate);
+	DOMJunk.extendSelection('fadeIn', $fadeIn);
+	DOMJunk.extendSelection('fadeOut', $fadeOut);
+	DOMJunk.extendSelection('slideDown', $slideDown);
+	DOMJunk.extendSelection('slideUp', $slideUp);
+	DOMJunk.extendSelection('transitionClass', $transitionClass);
+
+	DOMJunk.extendSelection('onVisible', $onVisible);
+	DOMJunk.extendSelection('onResize', $onResize);
+	DOMJunk.extendSelection('onMutate', $onMutate);
+
+	DOMJunk.extendSelection('deferred', $deferred);
+
+	DOMJunk.extend('rect', $rect);
+	DOMJunk.extend('offset', $offset);
+	DOMJunk.extend('position', $position);
+	DOMJunk.extend('size', $size);
+	DOMJunk.extend('inViewport', $inViewport);
+	DOMJunk.extendSelection('scrollTo', $scrollTo);
+	DOMJunk.extend('anchorTo', $anchorTo);
+
+	DOMJunk.extendTraversal('focusable', $focusable);
+	DOMJunk.extendSelection('focusTrap', $focusTrap);
+	DOMJunk.extendSelection('rovingTabindex', $rovingTabindex);
+
+	DOMJunk.extend('refillVirtual', $refillVirtual);
+	DOMJunk.extendSelection('scrollToIndex', $scrollToIndex);
+
+	DOMJunk.extendSelection('component', $component);
+
+	DOMJunk.templateFilter('upper',      filterUpper);
+	DOMJunk.templateFilter('lower',      filterLower);
+	DOMJunk.templateFilter('capitalize', filterCapitalize);
+	DOMJunk.templateFilter('trim',       filterTrim);
+	DOMJunk.templateFilter('truncate',   filterTruncate);
+	DOMJunk.templateFilter('default',    filterDefault);
+	DOMJunk.templateFilter('number',     filterNumber);
+	DOMJunk.templateFilter('currency',   filterCurrency);
+	DOMJunk.templateFilter('percent',    filterPercent);
+	DOMJunk.templateFilter('date',       filterDate);
+	DOMJunk.templateFilter('json',       filterJSON);
+	DOMJunk.templateFilter('join',       filterJoin);
+
+	DOMJunk.validator('required', validateRequired, 'This field is required.');
+	DOMJunk.validator('email',    validateEmail,    'Please enter a valid email address.');
+	DOMJunk.validator('url',      validateURL,      'Please enter a valid URL.');
+	DOMJunk.validator('number',   validateNumber,   'Please enter a number.');
+	DOMJunk.validator('integer',  validateInteger,  'Please enter a whole number.');
+	DOMJunk.validator('min',      validateMin);
+	DOMJunk.validator('max',      validateMax);
+	DOMJunk.validator('pattern',  validatePattern,  'Please match the requested format.');
+	DOMJunk.validator('matches',  validateMatches,  'Must match {0}.');
+
 	const wrapAttach = function(attachName) {
-		return function(func) { 
-			this.attach(attachName, func); 
+		return function(selector, func) { 
+			this.attach(attachName, selector, func); 
 			return this;
 		};
 	}
@@ -1031,6 +6442,12 @@
 	DOMJunk.isBlank = isBlank;
 	DOMJunk.isHTML = isHTML;
 
+	/**
+	 * The application-wide publish/subscribe channel.
+	 * @see EventBus
+	 */
+	DOMJunk.bus = new EventBus();
+
 	DOMJunk.h = createHTML;
 	DOMJunk.e = createElement;
 	DOMJunk.t = createText;
@@ -1048,25 +6465,148 @@
 		CTX.$DJMain = old$DJMainAssignment;
 	};
 	
-	const MAINFUNCS = [];
+	// Main function phases: "ready" runs when the document is parsed, "load" runs when the window has loaded.
+	// Each queue entry is {func, priority, order}.
+	const MAINPHASES = {
+		ready: { name: 'ready', queue: [], reached: false, running: false, waiters: [] },
+		load: { name: 'load', queue: [], reached: false, running: false, waiters: [] }
+	};
+
+	let MAINCOUNTER = 0;
+
+	// Runs a phase's queued main functions in priority order, one at a time, waiting for each one that returns a Promise.
+	// Main functions added during the run are run in the same run.
+	const runMainPhase = async function(phase) {
+		if (!phase.reached || phase.running) {
+			return;
+		}
+		phase.running = true;
+		if (phase === MAINPHASES.load) {
+			await whenMainPhaseDone(MAINPHASES.ready);
+		}
+		while (phase.queue.length > 0) {
+			phase.queue.sort((a, b) => (b.priority - a.priority) || (a.order - b.order));
+			const entry = phase.queue.shift();
+			try {
+				await entry.func.call(DOMJunk, DOMJunk);
+			} catch (err) {
+				console.error('DOMJunk: Error in ' + phase.name + ' function:', err);
+				DOMJunk.bus.publish('domjunk.error', { error: err, phase: phase.name, func: entry.func });
+			}
+		}
+		phase.running = false;
+		each(phase.waiters.splice(0), (resolve) => {
+			resolve();
+		});
+	};
+
+	// Returns a Promise that resolves when a phase is reached and its queued main functions have run.
+	const whenMainPhaseDone = function(phase) {
+		if (phase.reached && !phase.running && phase.queue.length === 0) {
+			return Promise.resolve();
+		}
+		return new Promise((resolve) => {
+			phase.waiters.push(resolve);
+		});
+	};
+
+	// Adds a function to a phase's queue, and runs it if the phase was already reached.
+	const queueMainFunction = function(phase, func, priority) {
+		phase.queue.push({ func: func, priority: priority || 0, order: MAINCOUNTER++ });
+		runMainPhase(phase);
+	};
+
+	const reachMainPhase = function(phase) {
+		if (!phase.reached) {
+			phase.reached = true;
+			runMainPhase(phase);
+		}
+	};
+
+	/**
+	 * Adds a main function: a function to call once the document is ready.
+	 * If the document is already ready, the function is called right away (after any main functions still running).
+	 * Main functions are called one at a time, highest priority first, then in the order they were added.
+	 * A main function that returns a Promise (like an async function) is waited on before the next one is called.
+	 * A main function that throws an error (or whose Promise rejects) does not stop the other main functions - 
+	 * the error is logged and published on DOMJunk.bus as topic "domjunk.error" with data {error, phase, func}.
+	 * "this" and the first parameter of each main function is DOMJunk.
+	 * This is also assigned to "$DJMain".
+	 * @param {Function} func the function to call.
+	 * @param {number | Object} options (optional) the priority (higher is earlier, default 0), or an object of options:
+	 * 		priority (number): the priority. Default: 0.
+	 * 		phase (string): 'ready' to call it when the document is parsed, or 'load' to call it when the window
+	 * 			has loaded (images, stylesheets, and so on) and all "ready" main functions have finished. Default: 'ready'.
+	 */
+	DOMJunk.main = function(func, options) {
+		options = isNumber(options) ? { priority: options } : (options || {});
+		const phase = MAINPHASES[options.phase || 'ready'];
+		if (!phase) {
+			throw new Error("Unknown main function phase: " + options.phase);
+		}
+		queueMainFunction(phase, func, options.priority);
+	};
+
+	/**
+	 * Returns a Promise that resolves when the document is ready and the main functions added so far have finished.
+	 * @param {Function} func (optional) if provided, it is added as a main function first (see DOMJunk.main()).
+	 * @returns {Promise} a Promise that resolves with DOMJunk.
+	 */
+	DOMJunk.ready = function(func) {
+		if (func) {
+			DOMJunk.main(func);
+		}
+		return whenMainPhaseDone(MAINPHASES.ready).then(() => DOMJunk);
+	};
+
+	/**
+	 * Returns a Promise that resolves when the window has loaded and the "ready" and "load" main functions 
+	 * added so far have finished.
+	 * @param {Function} func (optional) if provided, it is added as a "load" main function first (see DOMJunk.main()).
+	 * @returns {Promise} a Promise that resolves with DOMJunk.
+	 */
+	DOMJunk.loaded = function(func) {
+		if (func) {
+			DOMJunk.main(func, { phase: 'load' });
+		}
+		return whenMainPhaseDone(MAINPHASES.load).then(() => DOMJunk);
+	};
 
 	CTX.DOMJunk = DOMJunk;
 	CTX.$DJ     = DOMJunk;
-	CTX.$DJMain = function(func) { 
-		MAINFUNCS.push(func);
-	};
+	CTX.$DJMain = DOMJunk.main;
+
+	// Companion libraries loaded before DOMJunk register themselves as plugins here (see DOMJunk.plugin()).
+	// A plugin that fails to install (a member conflict, for example) should not stop DOMJunk itself from loading.
+	each({ jaxxy: CTX.Jaxxy, jstate: CTX.JState }, (library, name) => {
+		if (library && library.pluginDefinition && !PLUGINS.has(name)) {
+			try {
+				DOMJunk.plugin(name, library.pluginDefinition);
+			}
+			catch (err) {
+				console.warn('DOMJunk: Could not install plugin "' + name + '": ' + err.message);
+			}
+		}
+	});
 
 	/********************************************************************/
 
-	document.addEventListener("DOMContentLoaded", function(){
-		for (let i = 0; i < MAINFUNCS.length; i++)
-			MAINFUNCS[i]();
-	});
+	if (document.readyState === 'loading') {
+		document.addEventListener('DOMContentLoaded', function() {
+			reachMainPhase(MAINPHASES.ready);
+		});
+	}
+	else {
+		reachMainPhase(MAINPHASES.ready);
+	}
 
-	/**
-	 TODO: Add stuff, maybe.
-		FormValidate
-		FormFill
-	*/
+	if (document.readyState === 'complete') {
+		reachMainPhase(MAINPHASES.load);
+	}
+	else {
+		CTX.addEventListener('load', function() {
+			reachMainPhase(MAINPHASES.load);
+		});
+	}
 
 })(this, document);
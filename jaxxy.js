@@ -434,7 +434,7 @@
 	 *				If POST/PUT/PATCH, submitted as-is, but dataType is overridden to 'text/html'
 	 *			(FormData) 
 	 *				If GET/DELETE, discarded. 
-	 *				If POST/PUT/PATCH, submitted as-is, but dataType is overridden to 'multipart/form-data'
+	 *				If POST/PUT/PATCH, submitted as-is as 'multipart/form-data' (for example, from DOMJunk's form({as: 'FormData'}))
 	 *		dataType (string): If POST/PUT, the type of data referred to as "data". Usually, this is a MIME type.
 	 *			'text': Content-Type is set to 'text/plain'. 
 	 *				If data is an Object, JSON-stringify. 
@@ -549,8 +549,8 @@
 			}
 			else if (isType(opt.data, 'FormData')) {
 				if (!(opt.method === 'GET' || opt.method === 'DELETE')) {
+					// Content-Type is left to the browser, which adds the multipart boundary.
 					body = opt.data;
-					opt.headers['Content-Type'] = 'multipart/form-data';
 				}
 			}
 		}
@@ -645,6 +645,18 @@
 	Jaxxy.JSON.post =   function(url, data, headers) { return $jsonAjax('post', url, data, headers); };
 	Jaxxy.JSON.patch =  function(url, data, headers) { return $jsonAjax('patch', url, data, headers); };
 
+	/**
+	 * Jaxxy's DOMJunk plugin definition (see DOMJunk.plugin()), registered as "jaxxy" when both are loaded.
+	 * Adds DOMJunk.ajax (Jaxxy) and DOMJunk.ajaxJSON (Jaxxy.JSON).
+	 * Other DOMJunk plugins can require "jaxxy" and add response type handlers via Jaxxy.extendAJAX() in their "install" function.
+	 */
+	Jaxxy.pluginDefinition = {
+		statics: {
+			ajax: Jaxxy,
+			ajaxJSON: Jaxxy.JSON
+		}
+	};
+
 	/********************************************************************/
 
 	let old$JXAssignment     = CTX.$JX;
@@ -662,4 +674,13 @@
 	CTX.$JX   = Jaxxy;
 	CTX.$JXJ  = Jaxxy.JSON;
 
+	if (CTX.DOMJunk && CTX.DOMJunk.plugin && !CTX.DOMJunk.plugins('jaxxy')) {
+		try {
+			CTX.DOMJunk.plugin('jaxxy', Jaxxy.pluginDefinition);
+		}
+		catch (err) {
+			console.warn('Jaxxy: Could not install DOMJunk plugin "jaxxy": ' + err.message);
+		}
+	}
+
 })(this);
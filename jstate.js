@@ -399,6 +399,23 @@
 		return state;
 	};
 
+	/**
+	 * JState's DOMJunk plugin definition (see DOMJunk.plugin()), registered as "jstate" when both are loaded.
+	 * Adds DOMJunk.createAppState (JState.createAppState) and bindFormState(targetObject, changeFunc) to 
+	 * DOMJunk SelectionGroups, which binds the first selected form element, or else the selected fields (see JState.bindFormState()).
+	 */
+	JState.pluginDefinition = {
+		statics: {
+			createAppState: JState.createAppState
+		},
+		selectionMethods: {
+			bindFormState: function(targetObject, changeFunc) {
+				const formElements = this.length > 0 && this[0].tagName === 'FORM' ? this[0].elements : this;
+				return JState.bindFormState(formElements, targetObject, changeFunc);
+			}
+		}
+	};
+
 	/********************************************************************/
 
 	let old$JSAssignment = CTX.$JS;
@@ -413,4 +430,13 @@
 	CTX.JState = JState;
 	CTX.$JS    = JState;
 
+	if (CTX.DOMJunk && CTX.DOMJunk.plugin && !CTX.DOMJunk.plugins('jstate')) {
+		try {
+			CTX.DOMJunk.plugin('jstate', JState.pluginDefinition);
+		}
+		catch (err) {
+			console.warn('JState: Could not install DOMJunk plugin "jstate": ' + err.message);
+		}
+	}
+
 })(this);
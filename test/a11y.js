@@ -0,0 +1,97 @@
+/****************************************************************************
+ * Tests: accessibility (focusable, focusTrap, rovingTabindex, announce)
+ ****************************************************************************/
+(function(DJTest){
+
+	const press = (element, key, shiftKey) => {
+		const event = new KeyboardEvent('keydown', { key: key, shiftKey: !!shiftKey, bubbles: true, cancelable: true });
+		element.dispatchEvent(event);
+		return event.defaultPrevented;
+	};
+
+	const FORM = '<button class="outside">out</button><div class="box">'
+		+ '<button class="first">1</button>'
+		+ '<button disabled>x</button><input type="hidden"><a>no href</a><span tabindex="-1">x</span>'
+		+ '<div hidden><button>x</button></div><button style="display: none">x</button>'
+		+ '<a href="#" class="middle">2</a><span tabindex="0" class="last">3</span>'
+		+ '</div>';
+
+	DJTest.test('focusable: selects the descendants reachable with the Tab key', (t) => {
+		const box = t.fixture(FORM).search('.box');
+		t.equal([ ...box.focusable()].map((element) => element.className), ['first', 'middle', 'last']);
+	});
+
+	DJTest.test('focusTrap: cycles Tab inside the element, and restores the focus on release', (t) => {
+		const root = t.fixture(FORM);
+		const outside = root.search('.outside')[0];
+		outside.focus();
+		const trap = root.search('.box').focusTrap();
+		const first = root.search('.first')[0];
+		const last = root.search('.last')[0];
+		t.equal(document.activeElement, first);
+		t.equal(press(first, 'Tab', true), true);
+		t.equal(document.activeElement, last);
+		t.equal(press(last, 'Tab'), true);
+		t.equal(document.activeElement, first);
+		t.equal(press(first, 'Tab'), false, 'Tab is left alone inside the trap');
+		outside.focus();
+		t.equal(document.activeElement, first);
+		trap.release();
+		t.equal(document.activeElement, outside);
+	});
+
+	DJTest.test('focusTrap: only the most recent trap is active', (t) => {
+		const root = t.fixture('<div class="outer"><button class="a">a</button><div class="inner"><button class="b">b</button></div></div>');
+		const outer = root.search('.outer').focusTrap();
+		const inner = root.search('.inner').focusTrap({ initialFocus: '.b' });
+		root.search('.a')[0].focus();
+		t.equal(document.activeElement, root.search('.b')[0]);
+		inner.release();
+		root.search('.a')[0].focus();
+		t.equal(document.activeElement, root.search('.a')[0]);
+		outer.release();
+		t.throws(() => DOMJunk().focusTrap(), /is empty/);
+	});
+
+	DJTest.test('rovingTabindex: arrow keys, Home, and End move between the items', (t) => {
+		const list = t.fixture('<ul><li>a</li><li aria-selected="true">b</li><li aria-disabled="true">x</li><li>c</li></ul>').search('ul');
+		const roving = list.rovingTabindex('li');
+		const items = list.search('li');
+		t.equal(items.map((li) => li.getAttribute('tabindex')).slice(), ['-1', '0', null, '-1']);
+		press(items[1], 'ArrowDown');
+		t.equal(document.activeElement, items[3]);
+		press(items[3], 'ArrowDown');
+		t.equal(document.activeElement, items[0]);
+		press(items[0], 'End');
+		t.equal(document.activeElement, items[3]);
+		press(items[3], 'Home');
+		t.equal(items.map((li) => li.getAttribute('tabindex')).slice(), ['0', '-1', null, '-1']);
+		roving.release();
+		t.equal(press(items[0], 'ArrowDown'), false);
+	});
+
+	DJTest.test('rovingTabindex: without wrapping, the ends stop the movement', (t) => {
+		const bar = t.fixture('<div><button>a</button><button>b</button></div>').search('div');
+		const roving = bar.rovingTabindex('button', { orientation: 'horizontal', wrap: false });
+		const buttons = bar.search('button');
+		buttons[1].focus();
+		t.equal(press(buttons[1], 'ArrowRight'), false);
+		t.equal(press(buttons[1], 'ArrowDown'), false);
+		t.equal(press(buttons[1], 'ArrowLeft'), true);
+		t.equal(document.activeElement, buttons[0]);
+		roving.release();
+		t.throws(() => bar.rovingTabindex('button', { orientation: 'diagonal' }), /Unknown orientation/);
+	});
+
+	DJTest.test('announce: puts the latest message in a live region', (t) => {
+		const first = DOMJunk.announce('first');
+		const second = DOMJunk.announce('second');
+		t.throws(() => DOMJunk.announce('x', 'loud'), /Unknown politeness/);
+		return Promise.all([first, second, DOMJunk.announce('now', 'assertive')]).then(() => {
+			t.equal(DOMJunk('[data-domjunk-live="polite"]')[0].textContent, 'second');
+			const assertive = DOMJunk('[data-domjunk-live="assertive"]');
+			t.equal([assertive.attr('aria-live'), assertive.attr('role'), assertive[0].textContent], ['assertive', 'alert', 'now']);
+		});
+	});
+
+})(DJTest);
@@ -0,0 +1,74 @@
+/****************************************************************************
+ * Tests: behaviors
+ ****************************************************************************/
+(function(DJTest){
+
+	const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+	DJTest.test('behavior: attaches to present and added elements, and detaches from removed ones', (t) => {
+		const root = t.fixture('<p class="btest" id="one"></p>');
+		const calls = [];
+		const stop = DOMJunk.behavior('.btest', {
+			attach: function(element) {
+				calls.push('attach:' + element.id);
+				return function() {
+					calls.push('cleanup:' + this.id);
+				};
+			},
+			detach: function(element) {
+				calls.push('detach:' + element.id);
+			}
+		});
+		return nextTask().then(() => {
+			root.append('<div><p class="btest" id="two"></p></div><p id="other"></p>');
+			return nextTask();
+		}).then(() => {
+			root.search('#one').remove();
+			return nextTask();
+		}).then(() => {
+			stop();
+			t.equal(calls, ['attach:one', 'attach:two', 'cleanup:one', 'detach:one', 'cleanup:two', 'detach:two']);
+		});
+	});
+
+	DJTest.test('behavior: once removed, it does not attach to new elements', (t) => {
+		const root = t.fixture('');
+		let count = 0;
+		const stop = DOMJunk.behavior('.btest-stopped', {
+			attach: () => {
+				count++;
+			}
+		});
+		stop();
+		root.append('<p class="btest-stopped"></p>');
+		return nextTask().then(() => {
+			t.equal(count, 0);
+		});
+	});
+
+	DJTest.test('behavior: a failing attach is reported without stopping the other elements', (t) => {
+		const root = t.fixture('');
+		const attached = [];
+		const errors = [];
+		const originalError = console.error;
+		console.error = function(message) {
+			errors.push(message);
+		};
+		const stop = DOMJunk.behavior('.btest-fail', {
+			attach: (element) => {
+				if (element.id === 'bad') {
+					throw new Error('failure');
+				}
+				attached.push(element.id);
+			}
+		});
+		root.append('<p class="btest-fail" id="bad"></p><p class="btest-fail" id="good"></p>');
+		return nextTask().then(() => {
+			console.error = originalError;
+			stop();
+			t.equal(attached, ['good']);
+			t.equal(errors.length, 1);
+		});
+	});
+
+})(DJTest);
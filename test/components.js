@@ -0,0 +1,144 @@
+/****************************************************************************
+ * Tests: components and custom elements
+ ****************************************************************************/
+(function(DJTest){
+
+	const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+	DJTest.test('component: mounts with its props, renders its state, and delegates its handlers', (t) => {
+		const calls = [];
+		DOMJunk.component('ctest-counter', {
+			template: '<b>{{label}}: {{count}}</b><button type="button">+</button>',
+			state: (props) => ({ label: props.label, count: props.start }),
+			handlers: {
+				'click button': function(event, instance) {
+					calls.push(this.nodeName);
+					instance.setState({ count: instance.state.count + 1 });
+				}
+			},
+			mounted: function(instance) {
+				calls.push(this === instance ? 'mounted' : 'wrong this');
+			}
+		});
+		const root = t.fixture('<div data-component="ctest-counter" data-label="n" data-start="2"></div>');
+		const div = root.search('div');
+		return nextTask().then(() => {
+			const instance = div.component();
+			t.assert(instance !== null, 'mounted');
+			t.equal(instance.props, { component: 'ctest-counter', label: 'n', start: 2 });
+			t.equal(div.search('b')[0].textContent, 'n: 2');
+			div.search('button').trigger('click');
+			div.search('button').trigger('click');
+			t.equal(div.search('b')[0].textContent, 'n: 4');
+			t.equal(calls, ['mounted', 'BUTTON', 'BUTTON']);
+		});
+	});
+
+	DJTest.test('component: unmounts when removed, detaching handlers and calling cleanup functions', (t) => {
+		const calls = [];
+		DOMJunk.component('ctest-cleanup', {
+			mounted: function(instance) {
+				instance.attach('ping', () => {
+					calls.push('ping');
+				});
+				instance.cleanup(() => {
+					calls.push('cleanup');
+				});
+			},
+			unmounted: function() {
+				calls.push('unmounted');
+			}
+		});
+		const div = t.fixture('<div data-component="ctest-cleanup"></div>').search('div');
+		return nextTask().then(() => {
+			div.trigger('ping');
+			div.remove();
+			div.trigger('ping');
+			t.equal(calls, ['ping', 'unmounted', 'cleanup']);
+			t.equal(div.component(), null);
+		});
+	});
+
+	DJTest.test('component: DOMJunk.mount() and unmount() work outside of the document', (t) => {
+		let count = 0;
+		DOMJunk.component('ctest-detached', {
+			template: '<i>{{name}}</i>',
+			unmounted: () => {
+				count++;
+			}
+		});
+		const outer = DOMJunk('<section><p data-component="ctest-detached" data-name="x"></p></section>');
+		DOMJunk.mount(outer);
+		const p = outer.search('p');
+		t.equal(p[0].innerHTML, '<i>x</i>');
+		DOMJunk.unmount(outer);
+		t.equal([p.component(), count], [null, 1]);
+	});
+
+	DJTest.test('component: a failing component is reported without stopping the others', (t) => {
+		DOMJunk.component('ctest-broken', {
+			mounted: () => {
+				throw new Error('broken');
+			}
+		});
+		DOMJunk.component('ctest-fine', {});
+		const outer = DOMJunk('<div><p data-component="ctest-broken"></p><p data-component="ctest-fine"></p></div>');
+		const errors = t.capture('error', () => {
+			DOMJunk.mount(outer);
+		});
+		t.equal(errors.length, 1);
+		t.assert(outer.search('p').get(1).component() !== null, 'the second component is mounted');
+	});
+
+	DJTest.test('defineElement: renders into a shadow root and follows observed attributes', (t) => {
+		const calls = [];
+		DOMJunk.defineElement('ctest-badge', {
+			template: '<span>{{label}}: {{maxValue}}</span>',
+			styles: ['span { color: red; }', 'span { margin: 0; }'],
+			observedAttributes: ['max-value'],
+			connected: function() {
+				calls.push('connected');
+			},
+			disconnected: function() {
+				calls.push('disconnected');
+			},
+			attributeChanged: function(name, oldValue, newValue) {
+				calls.push(name + ':' + oldValue + '>' + newValue);
+			}
+		});
+		const badge = t.fixture('<ctest-badge label="n" max-value="3"></ctest-badge>').search('ctest-badge');
+		t.equal(badge[0].search('span')[0].textContent, 'n: 3');
+		const styled = badge[0].root.adoptedStyleSheets 
+			? badge[0].root.adoptedStyleSheets.length === 1 
+			: badge[0].root.firstChild.nodeName === 'STYLE';
+		t.assert(styled, 'styles added to the shadow root');
+		badge.attr({ 'max-value': '5' });
+		t.equal(badge[0].search('span')[0].textContent, 'n: 5');
+		badge.remove();
+		t.equal(calls, ['max-value:null>3', 'connected', 'max-value:3>5', 'disconnected']);
+	});
+
+	DJTest.test('defineElement: closed shadow roots can still be rendered and searched', (t) => {
+		DOMJunk.defineElement('ctest-closed', {
+			template: '<i>{{name}}</i>',
+			mode: 'closed'
+		});
+		const element = t.fixture('<ctest-closed name="c"></ctest-closed>').search('ctest-closed')[0];
+		t.equal(element.shadowRoot, null);
+		t.equal(element.search('i')[0].textContent, 'c');
+		element.render({ name: 'd' });
+		t.equal(element.search('i')[0].textContent, 'd');
+	});
+
+	DJTest.test('shadow and searchDeep: reach into open shadow roots', (t) => {
+		const host = t.fixture('<div class="host"><b class="light">1</b></div>').search('.host');
+		const root = host[0].attachShadow({ mode: 'open' });
+		root.innerHTML = '<b class="shadow">2</b><p class="inner"></p><slot></slot>';
+		root.querySelector('.inner').attachShadow({ mode: 'open' }).innerHTML = '<b class="deeper">3</b>';
+		t.equal(host.search('b').length, 1);
+		t.equal(host.shadow()[0], root);
+		t.equal(host.shadow().search('b').length, 1);
+		t.equal([ ...DOMJunk('#fixture').searchDeep('b')].map((b) => b.className), ['shadow', 'deeper', 'light']);
+	});
+
+})(DJTest);
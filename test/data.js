@@ -0,0 +1,49 @@
+/****************************************************************************
+ * Tests: the element data store
+ ****************************************************************************/
+(function(DJTest){
+
+	DJTest.test('data: stores values apart from the element and its attributes', (t) => {
+		const divs = t.fixture('<div></div><div></div>').search('div');
+		const model = { id: 1 };
+		divs.data('row-model', model);
+		divs.data({ count: 2 });
+		t.assert(divs.get(1).data('rowModel') === model, 'values are stored as is');
+		t.equal(divs.data('count'), 2);
+		t.equal(divs[0].attributes.length, 0);
+		t.equal(divs[0].rowModel, undefined);
+	});
+
+	DJTest.test('data: falls back to typed data-* attributes', (t) => {
+		const div = t.fixture('<div data-on="true" data-n="12" data-none="null" data-list="[1,2]" data-text="007" data-bad="{x"></div>').search('div');
+		t.equal([div.data('on'), div.data('n'), div.data('none'), div.data('list'), div.data('text'), div.data('bad')], [true, 12, null, [1, 2], '007', '{x']);
+		t.equal(div.data('missing'), null);
+		div.data('n', 5);
+		t.equal(div.data('n'), 5);
+		t.equal(div[0].getAttribute('data-n'), '12');
+	});
+
+	DJTest.test('data: with no key, returns the attributes and stored values together', (t) => {
+		const div = t.fixture('<div data-a="1" data-b="x"></div>').search('div');
+		div.data('b', 'y');
+		t.equal(div.data(), { a: 1, b: 'y' });
+	});
+
+	DJTest.test('removeData: removes some keys or all of them', (t) => {
+		const div = t.fixture('<div data-a="attr"></div>').search('div');
+		div.data({ a: 1, b: 2, c: 3 });
+		div.removeData('a b');
+		t.equal(div.data(), { a: 'attr', c: 3 });
+		div.removeData();
+		t.equal(div.data(), { a: 'attr' });
+	});
+
+	DJTest.test('DOMJunk.data: gives access to the store of an element', (t) => {
+		const div = t.fixture('<div></div>').search('div');
+		DOMJunk.data(div[0]).model = 'm';
+		t.equal(div.data('model'), 'm');
+		DOMJunk.data(div, 'other', 1);
+		t.equal(DOMJunk.data(div[0], 'other'), 1);
+	});
+
+})(DJTest);
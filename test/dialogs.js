@@ -0,0 +1,84 @@
+/****************************************************************************
+ * Tests: dialogs and toasts
+ ****************************************************************************/
+(function(DJTest){
+
+	const press = (element, key) => {
+		element.dispatchEvent(new KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true }));
+	};
+
+	DJTest.test('dialog: resolves to the pressed button value, then removes itself and restores focus', (t) => {
+		const opener = t.fixture('<button>open</button>').search('button')[0];
+		opener.focus();
+		const result = DOMJunk.dialog({
+			title: 'Title',
+			content: '<b>not HTML</b>',
+			buttons: ['Skip', { label: 'Save', value: 'saved', className: 'save' }]
+		});
+		const dialog = DOMJunk(result.element);
+		t.equal(dialog.search('.domjunk-dialog-title')[0].textContent, 'Title');
+		t.equal(dialog.search('.domjunk-dialog-content')[0].innerHTML, '&lt;b&gt;not HTML&lt;/b&gt;');
+		t.equal(dialog.search('.domjunk-dialog-button').map((b) => b.textContent).slice(), ['Skip', 'Save']);
+		t.equal(dialog.attr('aria-labelledby'), dialog.search('h2').attr('id'));
+		t.assert(result.element.open, 'open');
+		dialog.search('.save').trigger('click');
+		return result.then((value) => {
+			t.equal(value, 'saved');
+			t.assert(!result.element.isConnected, 'removed');
+			t.equal(document.activeElement, opener);
+		});
+	});
+
+	DJTest.test('dialog: Escape dismisses it with null, unless it is not dismissible', (t) => {
+		const dismissible = DOMJunk.dialog({ content: 'a' });
+		press(dismissible.element, 'Escape');
+		const fixed = DOMJunk.dialog({ content: 'b', dismissible: false });
+		press(fixed.element, 'Escape');
+		t.assert(fixed.element.isConnected, 'not dismissed');
+		fixed.close('closed');
+		return Promise.all([dismissible, fixed]).then((values) => {
+			t.equal(values, [null, 'closed']);
+		});
+	});
+
+	DJTest.test('confirm: resolves to true for OK and false for Cancel', (t) => {
+		const yes = DOMJunk.confirm('Sure?', { okLabel: 'Yes' });
+		t.equal(yes.element.querySelector('.domjunk-dialog-ok').textContent, 'Yes');
+		DOMJunk(yes.element).search('.domjunk-dialog-ok').trigger('click');
+		const no = DOMJunk.confirm('Sure?');
+		DOMJunk(no.element).search('.domjunk-dialog-cancel').trigger('click');
+		return Promise.all([yes, no]).then((values) => {
+			t.equal(values, [true, false]);
+		});
+	});
+
+	DJTest.test('prompt: Enter resolves to the input value, and Cancel to null', (t) => {
+		const named = DOMJunk.prompt('Name', 'default');
+		const input = named.element.querySelector('.domjunk-dialog-input');
+		t.equal(input.value, 'default');
+		t.equal(named.element.querySelector('.domjunk-dialog-label').getAttribute('for'), input.id);
+		input.value = 'typed';
+		press(input, 'Enter');
+		const cancelled = DOMJunk.prompt('Name');
+		DOMJunk(cancelled.element).search('.domjunk-dialog-cancel').trigger('click');
+		return Promise.all([named, cancelled]).then((values) => {
+			t.equal(values, ['typed', null]);
+		});
+	});
+
+	DJTest.test('toast: resolves to the action pressed, or null when closed or timed out', (t) => {
+		const action = DOMJunk.toast('Saved', { actions: [{ label: 'Undo', value: 'undo' }] });
+		t.equal(action.element.parentNode.className, 'domjunk-toasts');
+		DOMJunk(action.element).search('.domjunk-toast-button').trigger('click');
+		const closed = DOMJunk.toast('Error', { type: 'error' });
+		t.equal([closed.element.className, closed.element.getAttribute('role')], ['domjunk-toast domjunk-toast-error', 'alert']);
+		DOMJunk(closed.element).search('.domjunk-toast-close').trigger('click');
+		const timed = DOMJunk.toast('Soon', { timeout: 10, dismissible: false });
+		t.equal(timed.element.querySelector('.domjunk-toast-close'), null);
+		return Promise.all([action, closed, timed]).then((values) => {
+			t.equal(values, ['undo', null, null]);
+			t.assert(!timed.element.isConnected, 'removed');
+		});
+	});
+
+})(DJTest);
@@ -0,0 +1,82 @@
+/****************************************************************************
+ * Tests: DOM insertion and removal
+ ****************************************************************************/
+(function(DJTest){
+
+	const html = (group) => group[0].innerHTML;
+
+	DJTest.test('insertion: prepend, insertAt, before, and after', (t) => {
+		const box = t.fixture('<div><b>1</b><b>2</b></div>').search('div');
+		box.prepend('<i>0</i>');
+		box.insertAt(-1, '<u>x</u>');
+		box.search('i').before('<s>a</s>');
+		box.search('i').after('<s>b</s>');
+		t.equal(html(box), '<s>a</s><i>0</i><s>b</s><b>1</b><u>x</u><b>2</b>');
+	});
+
+	DJTest.test('insertion: every target but the last gets copies, with their handlers and data', (t) => {
+		const boxes = t.fixture('<div></div><div></div><div></div>').search('div');
+		const button = DOMJunk(DOMJunk.e('button', { 'type': 'button' }, [DOMJunk.t('go')]));
+		let clicks = 0;
+		button.attach('click', () => {
+			clicks++;
+		});
+		button.data('id', 7);
+		boxes.append(button);
+		const buttons = boxes.search('button');
+		t.equal(buttons.length, 3);
+		t.equal(buttons[2], button[0], 'the last target gets the original');
+		buttons.trigger('click');
+		t.equal(clicks, 3);
+		t.equal(buttons.map((b) => DOMJunk(b).data('id')).slice(), [7, 7, 7]);
+	});
+
+	DJTest.test('removal: remove() releases handlers, detachNodes() keeps them', (t) => {
+		const box = t.fixture('<div><p class="a">a</p><p class="b">b</p></div>').search('div');
+		let count = 0;
+		box.search('p').attach('ping', () => {
+			count++;
+		});
+		const a = box.search('.a');
+		const b = box.search('.b');
+		a.remove();
+		b.detachNodes();
+		box.append(a).append(b);
+		a.trigger('ping');
+		b.trigger('ping');
+		t.equal(count, 1);
+	});
+
+	DJTest.test('replaceWith: puts content in place and removes the originals', (t) => {
+		const box = t.fixture('<div><p>a</p><p>b</p></div>').search('div');
+		const replaced = box.search('p').replaceWith('<hr>');
+		t.equal(html(box), '<hr><hr>');
+		t.equal(replaced.length, 2);
+	});
+
+	DJTest.test('wrap and unwrap', (t) => {
+		const box = t.fixture('<div><p>a</p><p>b</p></div>').search('div');
+		box.search('p').wrap('<section><span></span></section>');
+		t.equal(html(box), '<section><span><p>a</p></span></section><section><span><p>b</p></span></section>');
+		box.search('p').unwrap().unwrap();
+		t.equal(html(box), '<p>a</p><p>b</p>');
+	});
+
+	DJTest.test('clone: copies handlers and data only if asked', (t) => {
+		const box = t.fixture('<div><p><b>x</b></p></div>').search('div');
+		let count = 0;
+		box.search('b').attach('ping', () => {
+			count++;
+		});
+		box.search('b').data('n', 1);
+		const plain = box.search('p').clone();
+		const full = box.search('p').clone(true, true);
+		box.append(plain).append(full);
+		plain.search('b').trigger('ping');
+		full.search('b').trigger('ping');
+		t.equal(count, 1);
+		t.equal(full.search('b').data('n'), 1);
+		t.equal(plain.search('b').data('n'), null);
+	});
+
+})(DJTest);
@@ -0,0 +1,52 @@
+/****************************************************************************
+ * Tests: animations and transitions
+ ****************************************************************************/
+(function(DJTest){
+
+	DJTest.test('hide and show: the previous inline display value is restored', (t) => {
+		const span = t.fixture('<span style="display: inline-block">s</span>').search('span');
+		span.hide();
+		t.equal(span[0].style.display, 'none');
+		span.show();
+		t.equal(span[0].style.display, 'inline-block');
+	});
+
+	DJTest.test('animate: resolves to the SelectionGroup, keeping the end state if filled forwards', (t) => {
+		const divs = t.fixture('<div></div><div></div>').search('div');
+		return divs.animate([{ opacity: 1 }, { opacity: 0.5 }], { duration: 10, fill: 'forwards' }).then((result) => {
+			t.assert(result === divs, 'resolves to the SelectionGroup');
+			t.equal(divs.map((div) => getComputedStyle(div).opacity).slice(), ['0.5', '0.5']);
+		});
+	});
+
+	DJTest.test('fadeOut and fadeIn: hide and show the elements', (t) => {
+		const div = t.fixture('<div>d</div>').search('div');
+		return div.fadeOut(10).then(() => {
+			t.equal(div[0].style.display, 'none');
+			return div.fadeIn(10);
+		}).then(() => {
+			t.equal(div[0].style.display, '');
+		});
+	});
+
+	DJTest.test('slideUp and slideDown: hide and show the elements, restoring overflow', (t) => {
+		const div = t.fixture('<div style="overflow: auto">d</div>').search('div');
+		return div.slideUp({ duration: 10 }).then(() => {
+			t.equal([div[0].style.display, div[0].style.overflow], ['none', 'auto']);
+			return div.slideDown({ duration: 10 });
+		}).then(() => {
+			t.equal([div[0].style.display, div[0].style.overflow], ['', 'auto']);
+		});
+	});
+
+	DJTest.test('transitionClass: ends with only the leave classes', (t) => {
+		const div = t.fixture('<div class="box"></div>').search('div');
+		const promise = div.transitionClass('from', 'moving busy', 'to');
+		t.equal(div[0].className, 'box from moving busy');
+		return promise.then((result) => {
+			t.assert(result === div, 'resolves to the SelectionGroup');
+			t.equal(div[0].className, 'box to');
+		});
+	});
+
+})(DJTest);
@@ -0,0 +1,175 @@
+/****************************************************************************
+ * Tests: events (attach, detach, trigger) and the event bus
+ ****************************************************************************/
+(function(DJTest){
+
+	DJTest.test('attach: delegated handlers see the matching descendant as "this"', (t) => {
+		const list = t.fixture('<ul><li class="item"><b>one</b></li><li>two</li></ul>').search('ul');
+		const seen = [];
+		list.attach('click', '.item', function(event) {
+			seen.push(this.nodeName + ':' + event.target.nodeName);
+		});
+		list.search('b').trigger('click');
+		list.search('li').get(1).trigger('click');
+		t.equal(seen, ['LI:B']);
+	});
+
+	DJTest.test('attach: delegated handlers work for descendants added later', (t) => {
+		const list = t.fixture('<ul></ul>').search('ul');
+		let count = 0;
+		list.attach('click', 'li', () => {
+			count++;
+		});
+		list.append('<li>new</li>');
+		list.search('li').trigger('click');
+		t.equal(count, 1);
+	});
+
+	DJTest.test('detach: a namespace removes only its handlers', (t) => {
+		const button = t.fixture('<button>b</button>').search('button');
+		const calls = [];
+		button.attach('click.menu', () => {
+			calls.push('menu');
+		});
+		button.attach('focus.menu click.other', () => {
+			calls.push('other');
+		});
+		button.detach('.menu');
+		button.trigger('click');
+		button.trigger('focus');
+		t.equal(calls, ['other']);
+	});
+
+	DJTest.test('detach: an event name plus namespace narrows it further', (t) => {
+		const button = t.fixture('<button>b</button>').search('button');
+		const calls = [];
+		button.attach('click.menu focus.menu', (event) => {
+			calls.push(event.type);
+		});
+		button.detach('click.menu');
+		button.trigger('click');
+		button.trigger('focus');
+		t.equal(calls, ['focus']);
+	});
+
+	DJTest.test('attach: async functions are handlers, with or without a selector', (t) => {
+		const div = t.fixture('<div><span>s</span></div>').search('div');
+		const calls = [];
+		div.attach('ping', async function() {
+			calls.push('direct');
+		});
+		div.attach('ping', 'span', async function() {
+			calls.push('delegated');
+		});
+		div.search('span').trigger('ping');
+		return Promise.resolve().then(() => {
+			t.equal(calls, ['direct', 'delegated']);
+		});
+	});
+
+	DJTest.test('trigger: passes the detail along and reports cancellation', (t) => {
+		const div = t.fixture('<div></div>').search('div');
+		let detail = null;
+		div.attach('save', (event) => {
+			detail = event.detail;
+			event.preventDefault();
+		});
+		t.equal(div.trigger('save.namespace', { id: 3 }), true);
+		t.equal(detail, { id: 3 });
+		t.equal(div.trigger('save', null, { cancelable: false }), false);
+	});
+
+	DJTest.test('remove: drops handlers attached via attach()', (t) => {
+		const div = t.fixture('<div></div>').search('div');
+		let count = 0;
+		div.attach('ping', () => {
+			count++;
+		});
+		const element = div[0];
+		div.remove();
+		element.dispatchEvent(new CustomEvent('ping'));
+		t.equal(count, 0);
+	});
+
+	DJTest.test('bus: wildcards match one or any number of segments', (t) => {
+		const bus = DOMJunk.bus;
+		const seen = [];
+		const stopOne = bus.subscribe('bustest.*', (data, topic) => {
+			seen.push('one:' + topic);
+		});
+		const stopAny = bus.subscribe('bustest.**', (data, topic) => {
+			seen.push('any:' + topic);
+		});
+		const counts = [bus.publish('bustest.item.added', 1), bus.publish('bustest.cleared', 2)];
+		stopOne();
+		stopAny();
+		t.equal(counts, [1, 2]);
+		t.equal(seen, ['any:bustest.item.added', 'one:bustest.cleared', 'any:bustest.cleared']);
+	});
+
+	DJTest.test('bus: once() and unsubscribe functions stop later calls', (t) => {
+		const bus = DOMJunk.bus;
+		let onceCount = 0;
+		let count = 0;
+		bus.once('bustest.ping', () => {
+			onceCount++;
+		});
+		const unsubscribe = bus.subscribe('bustest.ping', () => {
+			count++;
+		});
+		bus.publish('bustest.ping');
+		unsubscribe();
+		t.equal(bus.publish('bustest.ping'), 0);
+		t.equal([onceCount, count], [1, 1]);
+	});
+
+	DJTest.test('bus: unsubscribe(topic, func) removes subscriptions made via subscribe() or once()', (t) => {
+		const bus = DOMJunk.bus;
+		let count = 0;
+		const onPing = () => {
+			count++;
+		};
+		const onPingOnce = () => {
+			count += 10;
+		};
+		bus.subscribe('bustest.ping', onPing);
+		bus.once('bustest.ping', onPingOnce);
+		bus.unsubscribe('bustest.ping', onPing);
+		bus.unsubscribe('bustest.ping', onPingOnce);
+		t.equal(bus.publish('bustest.ping'), 0);
+		t.equal(count, 0);
+	});
+
+	DJTest.test('bus: async subscribers are accepted, and a failing subscriber does not stop the others', (t) => {
+		const bus = DOMJunk.bus;
+		const seen = [];
+		const errors = [];
+		const originalError = console.error;
+		console.error = function(message) {
+			errors.push(message);
+		};
+		const stops = [
+			bus.subscribe('bustest.job', () => {
+				throw new Error('sync failure');
+			}),
+			bus.subscribe('bustest.job', async () => {
+				throw new Error('async failure');
+			}),
+			bus.subscribe('bustest.job', async (data) => {
+				seen.push(data);
+			})
+		];
+		const count = bus.publish('bustest.job', 'done');
+		const restore = () => {
+			console.error = originalError;
+			stops.forEach((stop) => stop());
+		};
+		return new Promise((resolve) => setTimeout(resolve, 0)).then(() => {
+			restore();
+			t.equal(count, 3);
+			t.equal(seen, ['done']);
+			t.equal(errors.length, 2);
+		});
+	});
+
+})(DJTest);
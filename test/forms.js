@@ -0,0 +1,148 @@
+/****************************************************************************
+ * Tests: forms
+ ****************************************************************************/
+(function(DJTest){
+
+	DJTest.test('form: nested names, arrays, and repeated names', (t) => {
+		const form = t.fixture(
+			'<form>' +
+				'<input name="user[name]" value="Ann">' +
+				'<input name="user.address.city" value="Oslo">' +
+				'<input name="tags[]" value="x">' +
+				'<input type="checkbox" name="color" value="red" checked>' +
+				'<input type="checkbox" name="color" value="blue" checked>' +
+				'<input type="checkbox" name="color" value="green">' +
+				'<input name="skipped" value="no" disabled>' +
+			'</form>'
+		).search('form');
+		t.equal(form.form(), {
+			user: { name: 'Ann', address: { city: 'Oslo' } },
+			tags: ['x'],
+			color: ['red', 'blue']
+		});
+	});
+
+	DJTest.test('form: data-type converts values, and invalid JSON is kept as text', (t) => {
+		const form = t.fixture(
+			'<form>' +
+				'<input name="count" data-type="number" value="42">' +
+				'<input name="flag" data-type="boolean" value="yes">' +
+				'<input name="good" data-type="json" value=\'{"a":1}\'>' +
+				'<input name="bad" data-type="json" value="{oops">' +
+			'</form>'
+		).search('form');
+		t.equal(form.form(), { count: 42, flag: true, good: { a: 1 }, bad: '{oops' });
+	});
+
+	DJTest.test('form: names that could pollute prototypes are ignored', (t) => {
+		const form = t.fixture(
+			'<form>' +
+				'<input name="__proto__[polluted]" value="yes">' +
+				'<input name="a[constructor][prototype][polluted]" value="yes">' +
+				'<input name="safe" value="ok">' +
+			'</form>'
+		).search('form');
+		const originalWarn = console.warn;
+		console.warn = function() {};
+		let data;
+		try {
+			data = form.form();
+		} finally {
+			console.warn = originalWarn;
+		}
+		t.equal(data, { safe: 'ok' });
+		t.equal(({}).polluted, undefined);
+		t.equal(Object.prototype.polluted, undefined);
+	});
+
+	DJTest.test('formFill: fills fields, checkbox groups, and repeated names', (t) => {
+		const form = t.fixture(
+			'<form>' +
+				'<input name="user[name]">' +
+				'<input type="checkbox" name="color" value="red">' +
+				'<input type="checkbox" name="color" value="blue">' +
+				'<input name="tags[]"><input name="tags[]">' +
+				'<select name="size"><option>S</option><option>M</option></select>' +
+			'</form>'
+		).search('form');
+		form.formFill({ user: { name: 'Ann' }, color: ['blue'], tags: ['x', 'y'], size: 'M' });
+		t.equal(form.form(), { user: { name: 'Ann' }, color: 'blue', tags: ['x', 'y'], size: 'M' });
+	});
+
+	DJTest.test('formFill: repeated names are counted per form', (t) => {
+		const forms = t.fixture(
+			'<form><input name="tags[]"><input name="tags[]"></form>' +
+			'<form><input name="tags[]"><input name="tags[]"></form>'
+		).search('form');
+		forms.formFill({ tags: ['x', 'y'] });
+		t.equal([ ...forms.search('input')].map((input) => input.value), ['x', 'y', 'x', 'y']);
+	});
+
+	DJTest.test('formFill: clearMissing clears fields without data, and input/change are triggered', (t) => {
+		const form = t.fixture('<form><input name="a" value="old"><input name="b" value="keep"></form>').search('form');
+		const changed = [];
+		form.attach('change', (event) => {
+			changed.push(event.target.name);
+		});
+		form.formFill({ b: 'new' }, { clearMissing: true });
+		t.equal(form.form(), { b: 'new' });
+		t.equal(changed.sort(), ['a', 'b']);
+	});
+
+	DJTest.test('formValidate: data-validate rules, messages, and error rendering', (t) => {
+		const form = t.fixture(
+			'<form>' +
+				'<input name="email" value="nope" data-validate="required|email">' +
+				'<span data-error-for="email"></span>' +
+				'<input name="name" value="ab" data-validate="min:3">' +
+				'<input name="optional" data-validate="email">' +
+			'</form>'
+		).search('form');
+		return form.formValidate(null, { native: false, messages: { min: 'Need {0}+' } }).then((result) => {
+			t.equal(result.valid, false);
+			t.equal(result.errors, { email: ['Please enter a valid email address.'], name: ['Need 3+'] });
+			t.equal(form.search('[data-error-for="email"]')[0].textContent, 'Please enter a valid email address.');
+			t.assert(form.search('[name="email"]')[0].classList.contains('invalid'), 'invalid class');
+			t.equal(form.search('[name="email"]')[0].getAttribute('aria-invalid'), 'true');
+		});
+	});
+
+	DJTest.test('formValidate: escaped pipes in rule strings, and RegExp rules', (t) => {
+		const form = t.fixture(
+			'<form>' +
+				'<input name="pet" value="dog" data-validate="pattern:cat\\|dog">' +
+				'<input name="code" value="AB-12">' +
+			'</form>'
+		).search('form');
+		return form.formValidate({ code: /^[A-Z]{2}-\d{3}$/ }, { native: false, render: false }).then((result) => {
+			t.equal(result.errors, { code: ['Please match the requested format.'] });
+		});
+	});
+
+	DJTest.test('formValidate: async validators, and validators that throw reject the Promise', (t) => {
+		const form = t.fixture('<form><input name="user" value="taken"></form>').search('form');
+		DOMJunk.validator('formtest-available', async (value) => value !== 'taken' || 'Username taken.');
+		return form.formValidate({ user: 'formtest-available' }, { native: false, render: false }).then((result) => {
+			t.equal(result.errors, { user: ['Username taken.'] });
+			return t.rejects(form.formValidate({ user: () => {
+				throw new Error('validator failed');
+			} }, { native: false }), /validator failed/);
+		}).then(() => {
+			DOMJunk.validator('formtest-available', null);
+		}, (err) => {
+			DOMJunk.validator('formtest-available', null);
+			throw err;
+		});
+	});
+
+	DJTest.test('formValidate: unknown validators are errors, including Object member names', (t) => {
+		const form = t.fixture('<form><input name="a" value="x" data-validate="toString"></form>').search('form');
+		t.throws(() => {
+			form.formValidate();
+		}, /Unknown validator: toString/);
+		t.throws(() => {
+			form.formValidate({ a: 'constructor' });
+		}, /Unknown validator/);
+	});
+
+})(DJTest);
@@ -0,0 +1,95 @@
+/****************************************************************************
+ * Tests: geometry, scrolling, and positioning
+ * Layout is stubbed on the elements, so that the results do not depend on the page.
+ ****************************************************************************/
+(function(DJTest){
+
+	const stubRect = (element, top, left, width, height) => {
+		element.getBoundingClientRect = () => ({ 
+			top: top, left: left, width: width, height: height, right: left + width, bottom: top + height 
+		});
+	};
+
+	const stubSize = (element, width, height) => {
+		Object.defineProperty(element, 'offsetWidth', { value: width });
+		Object.defineProperty(element, 'offsetHeight', { value: height });
+	};
+
+	const viewport = () => ({
+		width: document.documentElement.clientWidth || window.innerWidth,
+		height: document.documentElement.clientHeight || window.innerHeight
+	});
+
+	DJTest.test('rect, offset, and size: read the bounding rectangle', (t) => {
+		const div = t.fixture('<div style="margin: 5px 3px"></div>').search('div');
+		stubRect(div[0], 10, 20, 30, 40);
+		t.equal(div.rect(), { top: 10, left: 20, right: 50, bottom: 50, width: 30, height: 40 });
+		t.equal(div.offset(), { top: 10 + window.pageYOffset, left: 20 + window.pageXOffset, width: 30, height: 40 });
+		t.equal(div.size(), { width: 30, height: 40 });
+		t.equal(div.size({ includeMargin: true }), { width: 36, height: 50 });
+	});
+
+	DJTest.test('inViewport: checks how much of the element is visible', (t) => {
+		const div = t.fixture('<div></div>').search('div');
+		stubRect(div[0], -20, 0, 10, 40);
+		t.equal([div.inViewport(), div.inViewport(0.5), div.inViewport(0.6)], [true, true, false]);
+		stubRect(div[0], -50, 0, 10, 40);
+		t.equal(div.inViewport(), false);
+	});
+
+	DJTest.test('scrollTo: scrolls a container to a position or element, within its range', (t) => {
+		const box = t.fixture('<div class="box"><p class="target"></p></div>').search('.box');
+		const element = box[0];
+		let top = 0;
+		Object.defineProperties(element, {
+			scrollHeight: { value: 1000 },
+			clientHeight: { value: 100 },
+			scrollTop: { 
+				get: () => top, 
+				set: (value) => {
+					top = value;
+				} 
+			}
+		});
+		stubRect(element, 0, 0, 100, 100);
+		stubRect(box.search('.target')[0], 300, 0, 100, 20);
+		return box.scrollTo(250, { behavior: 'auto' }).then((result) => {
+			t.assert(result === box, 'resolves to the SelectionGroup');
+			t.equal(top, 250);
+			return box.scrollTo(5000, { duration: 20 });
+		}).then(() => {
+			t.equal(top, 900);
+			top = 0;
+			return box.scrollTo('.target', { behavior: 'auto', offset: 40 });
+		}).then(() => {
+			t.equal(top, 260);
+		});
+	});
+
+	DJTest.test('anchorTo: places an element next to an anchor', (t) => {
+		const root = t.fixture('<button class="anchor"></button><div class="tip"></div>');
+		const tip = root.search('.tip');
+		stubRect(root.search('.anchor')[0], 10, 100, 50, 20);
+		stubSize(tip[0], 40, 30);
+		tip.anchorTo('.anchor', { offset: 4 });
+		t.equal([tip[0].style.position, tip[0].style.top, tip[0].style.left, tip.attr('data-placement')], ['fixed', '34px', '105px', 'bottom']);
+		tip.anchorTo(root.search('.anchor'), { placement: 'right-start' });
+		t.equal([tip[0].style.top, tip[0].style.left, tip.attr('data-placement')], ['10px', '150px', 'right-start']);
+	});
+
+	DJTest.test('anchorTo: flips to the other side and shifts into the viewport', (t) => {
+		const root = t.fixture('<button class="anchor"></button><div class="tip"></div>');
+		const anchor = root.search('.anchor')[0];
+		const tip = root.search('.tip');
+		stubSize(tip[0], 40, 30);
+		stubRect(anchor, 10, 100, 50, 20);
+		tip.anchorTo(anchor, { placement: 'top-start' });
+		t.equal([tip[0].style.top, tip[0].style.left, tip.attr('data-placement')], ['30px', '100px', 'bottom-start']);
+		tip.anchorTo(anchor, { placement: 'top-start', flip: false });
+		t.equal([tip[0].style.top, tip.attr('data-placement')], ['-20px', 'top-start']);
+		stubRect(anchor, 10, viewport().width - 10, 50, 20);
+		tip.anchorTo(anchor, { padding: 8 });
+		t.equal(tip[0].style.left, (viewport().width - 48) + 'px');
+	});
+
+})(DJTest);
@@ -0,0 +1,199 @@
+/****************************************************************************
+ * DOMJunk test harness
+ * Requires ECMAScript 6
+ * Licensed for use under the MIT License
+ ****************************************************************************/
+(function(CTX, document){
+
+	// Registered tests: {name, func}.
+	const TESTS = [];
+
+	// Milliseconds a test can take before it fails.
+	const TEST_TIMEOUT = 5000;
+
+	class AssertionError extends Error {
+		constructor(message) {
+			super(message);
+			this.name = 'AssertionError';
+		}
+	}
+
+	const describe = function(value) {
+		if (value instanceof Node) {
+			return value.outerHTML || value.nodeName;
+		}
+		try {
+			return JSON.stringify(value);
+		} catch (err) {
+			return String(value);
+		}
+	};
+
+	const checkError = function(err, pattern, message) {
+		if (pattern && !pattern.test(err && err.message)) {
+			throw new AssertionError((message || 'Wrong error') + ': ' + (err && err.message) + ' does not match ' + pattern);
+		}
+	};
+
+	const addResult = function(name, err) {
+		const results = document.getElementById('results');
+		if (results) {
+			const item = document.createElement('li');
+			item.className = err ? 'fail' : 'pass';
+			item.textContent = name + (err ? ' - ' + (err.message || err) : '');
+			results.appendChild(item);
+		}
+		if (err) {
+			console.error('FAIL ' + name, err);
+		}
+		else {
+			console.log('pass ' + name);
+		}
+	};
+
+	/**
+	 * The test harness. Tests are registered with test() and run in order, one at a time, via run().
+	 */
+	const DJTest = {
+
+		/**
+		 * Registers a test.
+		 * @param {string} name the test name.
+		 * @param {Function} func the test function. It takes this harness, and can return a Promise.
+		 */
+		test: function(name, func) {
+			TESTS.push({ name: name, func: func });
+		},
+
+		/**
+		 * Fails unless a value is truthy.
+		 * @param {*} value the value to check.
+		 * @param {string} message the failure message.
+		 */
+		assert: function(value, message) {
+			if (!value) {
+				throw new AssertionError(message || 'Expected a truthy value, got ' + describe(value));
+			}
+		},
+
+		/**
+		 * Fails unless two values are the same (nodes are compared by identity, everything else by its JSON).
+		 * @param {*} actual the actual value.
+		 * @param {*} expected the expected value.
+		 * @param {string} message (optional) the failure message prefix.
+		 */
+		equal: function(actual, expected, message) {
+			const same = (actual instanceof Node || expected instanceof Node)
+				? actual === expected
+				: describe(actual) === describe(expected);
+			if (!same) {
+				throw new AssertionError((message ? message + ': ' : '') + 'expected ' + describe(expected) + ', got ' + describe(actual));
+			}
+		},
+
+		/**
+		 * Fails unless a function throws an error.
+		 * @param {Function} func the function to call.
+		 * @param {RegExp} pattern (optional) a pattern the error message must match.
+		 * @param {string} message (optional) the failure message.
+		 */
+		throws: function(func, pattern, message) {
+			try {
+				func();
+			} catch (err) {
+				checkError(err, pattern, message);
+				return;
+			}
+			throw new AssertionError(message || 'Expected an error to be thrown');
+		},
+
+		/**
+		 * Fails unless a Promise rejects.
+		 * @param {Promise} promise the Promise.
+		 * @param {RegExp} pattern (optional) a pattern the error message must match.
+		 * @param {string} message (optional) the failure message.
+		 * @returns {Promise} a Promise that resolves if the check passed, or rejects if not.
+		 */
+		rejects: function(promise, pattern, message) {
+			return promise.then(() => {
+				throw new AssertionError(message || 'Expected the Promise to reject');
+			}, (err) => {
+				checkError(err, pattern, message);
+			});
+		},
+
+		/**
+		 * Calls a function while collecting what it logs via a console function, instead of logging it.
+		 * @param {string} method the console function name, for example "warn" or "error".
+		 * @param {Function} func the function to call.
+		 * @returns {Array} the list of logged messages (the first parameter of each call).
+		 */
+		capture: function(method, func) {
+			const messages = [];
+			const original = console[method];
+			console[method] = function(message) {
+				messages.push(message);
+			};
+			try {
+				func();
+			} finally {
+				console[method] = original;
+			}
+			return messages;
+		},
+
+		/**
+		 * Replaces the content of the fixture element.
+		 * @param {string} html the HTML to put in the fixture element.
+		 * @returns {SelectionGroup} the fixture element.
+		 */
+		fixture: function(html) {
+			const fixture = document.getElementById('fixture');
+			fixture.innerHTML = html || '';
+			return DOMJunk(fixture);
+		},
+
+		/**
+		 * Runs the registered tests in order, and renders the results into the "results" and "summary" elements.
+		 * @returns {Promise} a Promise that resolves to {passed, failed} when done.
+		 * 		The same object is also stored as DJTest.results.
+		 */
+		run: function() {
+			const outcome = { passed: 0, failed: 0 };
+			let chain = Promise.resolve();
+			TESTS.forEach((entry) => {
+				chain = chain.then(() => {
+					DJTest.fixture('');
+					let timer;
+					const timeout = new Promise((resolve, reject) => {
+						timer = setTimeout(() => reject(new AssertionError('Timed out')), TEST_TIMEOUT);
+					});
+					return Promise.race([Promise.resolve().then(() => entry.func(DJTest)), timeout])
+						.then(() => {
+							outcome.passed++;
+							addResult(entry.name);
+						}, (err) => {
+							outcome.failed++;
+							addResult(entry.name, err);
+						})
+						.then(() => clearTimeout(timer));
+				});
+			});
+			return chain.then(() => {
+				const text = outcome.passed + ' passed, ' + outcome.failed + ' failed';
+				const summary = document.getElementById('summary');
+				if (summary) {
+					summary.textContent = text;
+					summary.className = outcome.failed > 0 ? 'fail' : 'pass';
+				}
+				document.title = (outcome.failed > 0 ? 'FAIL' : 'PASS') + ' - ' + text;
+				DJTest.results = outcome;
+				return outcome;
+			});
+		}
+
+	};
+
+	CTX.DJTest = DJTest;
+
+})(this, document);
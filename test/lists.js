@@ -0,0 +1,63 @@
+/****************************************************************************
+ * Tests: lists (refillList)
+ ****************************************************************************/
+(function(DJTest){
+
+	const itemElement = (item) => {
+		const li = document.createElement('li');
+		li.textContent = item.name;
+		return li;
+	};
+
+	DJTest.test('refillList: generates children and stores their models', (t) => {
+		const list = t.fixture('<ul></ul>').search('ul');
+		list.refillList([{ name: 'a' }, { name: 'b' }], itemElement);
+		t.equal([ ...list.search('li')].map((li) => li.textContent), ['a', 'b']);
+		t.equal(list.search('li').get(1).data('model'), { name: 'b' });
+	});
+
+	DJTest.test('refillList: HTML string generators get their models stored too', (t) => {
+		const list = t.fixture('<ul></ul>').search('ul');
+		list.refillList(['a', 'b'], (name) => '<li>' + name + '</li>');
+		t.equal(list.search('li').length, 2);
+		t.equal(list.search('li').get(0).data('model'), 'a');
+	});
+
+	DJTest.test('refillList (keyed): reuses children for kept keys and moves them into order', (t) => {
+		const list = t.fixture('<ul></ul>').search('ul');
+		list.refillList([{ id: 1, name: 'a' }, { id: 2, name: 'b' }, { id: 3, name: 'c' }], itemElement, { key: 'id' });
+		const before = [ ...list.search('li')];
+		list.refillList([{ id: 3, name: 'c' }, { id: 1, name: 'a' }, { id: 4, name: 'd' }], itemElement, { key: 'id' });
+		const after = [ ...list.search('li')];
+		t.equal(after.map((li) => li.textContent), ['c', 'a', 'd']);
+		t.equal(after[0], before[2]);
+		t.equal(after[1], before[0]);
+		t.assert(!before[1].isConnected, 'removed key is gone');
+	});
+
+	DJTest.test('refillList (keyed): update is called for reused children with the new item', (t) => {
+		const list = t.fixture('<ul></ul>').search('ul');
+		const update = (li, item) => {
+			li.textContent = item.name;
+		};
+		list.refillList([{ id: 1, name: 'a' }], itemElement, { key: 'id', update: update });
+		list.refillList([{ id: 1, name: 'A' }], itemElement, { key: (item) => item.id, update: update });
+		t.equal(list.search('li')[0].textContent, 'A');
+		t.equal(list.search('li').get(0).data('model'), { id: 1, name: 'A' });
+	});
+
+	DJTest.test('refillList (keyed): HTML strings with one root element are accepted', (t) => {
+		const list = t.fixture('<ul></ul>').search('ul');
+		list.refillList([{ id: 1, name: 'a' }], (item) => ' <li>' + item.name + '</li>\n', { key: 'id' });
+		t.equal(list[0].children.length, 1);
+		t.equal(list.search('li').get(0).data('model'), { id: 1, name: 'a' });
+	});
+
+	DJTest.test('refillList (keyed): more than one element per item is an error', (t) => {
+		const list = t.fixture('<ul></ul>').search('ul');
+		t.throws(() => {
+			list.refillList([{ id: 1 }], () => '<li>a</li><li>b</li>', { key: 'id' });
+		}, /exactly one element/);
+	});
+
+})(DJTest);
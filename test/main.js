@@ -0,0 +1,76 @@
+/****************************************************************************
+ * Tests: main functions (the ready and load queues)
+ ****************************************************************************/
+(function(DJTest){
+
+	DJTest.test('main: runs right away once ready, by priority, waiting for async functions in turn', (t) => {
+		const calls = [];
+		DOMJunk.main(async function(dj) {
+			calls.push(dj === DOMJunk ? 'first' : 'wrong parameter');
+			await new Promise((resolve) => setTimeout(resolve, 10));
+			calls.push('first done');
+		});
+		$DJMain(() => {
+			calls.push('low');
+		});
+		DOMJunk.main(() => {
+			calls.push('high');
+		}, { priority: 5 });
+		return DOMJunk.ready().then((dj) => {
+			t.assert(dj === DOMJunk, 'resolves with DOMJunk');
+			t.equal(calls, ['first', 'first done', 'high', 'low']);
+		});
+	});
+
+	DJTest.test('main: a failing function is reported and does not stop the others', (t) => {
+		const calls = [];
+		const errors = [];
+		const published = [];
+		const originalError = console.error;
+		console.error = function(message) {
+			errors.push(message);
+		};
+		const unsubscribe = DOMJunk.bus.subscribe('domjunk.error', (data) => {
+			published.push(data.phase + ':' + data.error.message);
+		});
+		const failing = async () => {
+			throw new Error('async failure');
+		};
+		DOMJunk.main(() => {
+			throw new Error('failure');
+		});
+		DOMJunk.main(failing);
+		DOMJunk.main(() => {
+			calls.push('after');
+		});
+		return DOMJunk.ready().then(() => {
+			console.error = originalError;
+			unsubscribe();
+			t.equal(calls, ['after']);
+			t.equal(errors.length, 2);
+			t.equal(published, ['ready:failure', 'ready:async failure']);
+		}, (err) => {
+			console.error = originalError;
+			unsubscribe();
+			throw err;
+		});
+	});
+
+	DJTest.test('main: "load" functions run after the "ready" ones', (t) => {
+		const calls = [];
+		DOMJunk.main(() => {
+			calls.push('load');
+		}, { phase: 'load' });
+		DOMJunk.ready(() => {
+			calls.push('ready');
+		});
+		return DOMJunk.loaded().then(() => {
+			t.equal(calls, ['ready', 'load']);
+		});
+	});
+
+	DJTest.test('main: an unknown phase is an error', (t) => {
+		t.throws(() => DOMJunk.main(() => {}, { phase: 'later' }), /Unknown main function phase/);
+	});
+
+})(DJTest);
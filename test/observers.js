@@ -0,0 +1,86 @@
+/****************************************************************************
+ * Tests: observers (onVisible, onResize, onMutate) and their release
+ ****************************************************************************/
+(function(DJTest){
+
+	const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+	DJTest.test('onMutate: calls the function with the records for each element until stopped', (t) => {
+		const lists = t.fixture('<ul class="a"></ul><ul class="b"></ul>').search('ul');
+		const seen = [];
+		const stop = lists.onMutate(function(records) {
+			seen.push(this.className + ':' + records.length);
+		});
+		lists.get(0).append('<li>1</li><li>2</li>');
+		lists.get(1).append('<li>3</li>');
+		return nextTask().then(() => {
+			stop();
+			lists.append('<li>4</li>');
+			return nextTask();
+		}).then(() => {
+			t.equal(seen, ['a:1', 'b:1']);
+		});
+	});
+
+	DJTest.test('onMutate: observing stops when the element is removed', (t) => {
+		const list = t.fixture('<ul></ul>').search('ul');
+		let count = 0;
+		list.onMutate(() => {
+			count++;
+		});
+		list.remove();
+		list.append('<li>1</li>');
+		return nextTask().then(() => {
+			t.equal(count, 0);
+		});
+	});
+
+	DJTest.test('onVisible and onResize: fail without the observer types', (t) => {
+		const div = t.fixture('<div></div>').search('div');
+		if (!window.IntersectionObserver) {
+			t.throws(() => div.onVisible(() => {}), /IntersectionObserver/);
+		}
+		if (!window.ResizeObserver) {
+			t.throws(() => div.onResize(() => {}), /ResizeObserver/);
+		}
+	});
+
+	DJTest.test('clear: releases handlers, data, and observers of the removed children', (t) => {
+		const box = t.fixture('<div><p><b>x</b></p></div>').search('div');
+		const calls = [];
+		const b = box.search('b');
+		b.attach('ping', () => {
+			calls.push('ping');
+		});
+		b.data('n', 1);
+		b.onMutate(() => {
+			calls.push('mutate');
+		});
+		box.clear();
+		return nextTask().then(() => {
+			b.trigger('ping');
+			b.append('<i>y</i>');
+			t.equal(b.data('n'), null);
+			return nextTask();
+		}).then(() => {
+			t.equal(calls, []);
+		});
+	});
+
+	DJTest.test('refill: children put back right away keep their handlers and data', (t) => {
+		const box = t.fixture('<div><p>a</p></div>').search('div');
+		const p = box.search('p');
+		let count = 0;
+		p.attach('ping', () => {
+			count++;
+		});
+		p.data('n', 1);
+		box.refill(p);
+		return nextTask().then(() => {
+			p.trigger('ping');
+			t.equal(count, 1);
+			t.equal(p.data('n'), 1);
+		});
+	});
+
+})(DJTest);
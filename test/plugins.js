@@ -0,0 +1,106 @@
+/****************************************************************************
+ * Tests: plugins
+ ****************************************************************************/
+(function(DJTest){
+
+	// Removes test plugins left over from a failed test.
+	const cleanup = (...names) => {
+		names.forEach((name) => {
+			if (DOMJunk.plugins(name)) {
+				DOMJunk.removePlugin(name);
+			}
+		});
+	};
+
+	DJTest.test('plugin: adds members, lists them, and removes them', (t) => {
+		try {
+			DOMJunk.plugin('ptest-a', {
+				version: '1.2.0',
+				methods: { ptestMark: function(value) { this.setAttribute('data-mark', value); } },
+				selectionMethods: { ptestCount: function() { return this.length; } },
+				statics: { ptestValue: 5 }
+			});
+			const div = t.fixture('<div></div><div></div>').search('div');
+			div.ptestMark('x');
+			t.equal(div.filter('[data-mark="x"]').length, 2);
+			t.equal(div.ptestCount(), 2);
+			t.equal(DOMJunk.ptestValue, 5);
+			t.equal(DOMJunk.plugins('ptest-a').selectionMethods, ['ptestCount']);
+			t.equal(DOMJunk.removePlugin('ptest-a'), true);
+			t.equal(DOMJunk.ptestValue, undefined);
+			t.equal(div.ptestCount, undefined);
+			t.equal(DOMJunk.plugins('ptest-a'), null);
+		} finally {
+			cleanup('ptest-a');
+		}
+	});
+
+	DJTest.test('plugin: requirements and versions are checked', (t) => {
+		try {
+			t.throws(() => {
+				DOMJunk.plugin('ptest-b', { requires: ['ptest-a'] });
+			}, /requires plugin "ptest-a"/);
+			DOMJunk.plugin('ptest-a', { version: '1.2.0' });
+			t.throws(() => {
+				DOMJunk.plugin('ptest-b', { requires: { 'ptest-a': '^2.0.0' } });
+			}, /version "\^2\.0\.0"/);
+			DOMJunk.plugin('ptest-b', { requires: { 'ptest-a': '>=1.0.0 <2.0.0' } });
+			t.throws(() => {
+				DOMJunk.removePlugin('ptest-a');
+			}, /required by installed plugins: ptest-b/);
+		} finally {
+			cleanup('ptest-b', 'ptest-a');
+		}
+	});
+
+	DJTest.test('plugin: replacing own or inherited members needs "override", and removing restores them', (t) => {
+		const originalIncludes = DOMJunk().includes;
+		const originalAttach = DOMJunk().attach;
+		try {
+			t.throws(() => {
+				DOMJunk.plugin('ptest-c', { selectionMethods: { includes: function() { return 'plugin'; } } });
+			}, /conflicts with existing members: includes/);
+			t.throws(() => {
+				DOMJunk.plugin('ptest-c', { selectionMethods: { map: function() {} } });
+			}, /conflicts with existing members: map/);
+			t.throws(() => {
+				DOMJunk.plugin('ptest-c', { statics: { call: function() {} } });
+			}, /conflicts with existing members: call/);
+			t.throws(() => {
+				DOMJunk.plugin('ptest-c', { methods: { attach: function() {} } });
+			}, /conflicts with existing members: attach/);
+			t.equal(DOMJunk.plugins('ptest-c'), null);
+			t.equal(DOMJunk().includes === originalIncludes, true);
+
+			DOMJunk.plugin('ptest-c', { 
+				override: true, 
+				selectionMethods: { includes: function() { return 'plugin'; } }
+			});
+			t.equal(DOMJunk().includes(1), 'plugin');
+			DOMJunk.removePlugin('ptest-c');
+			t.equal(DOMJunk().includes === originalIncludes, true);
+			t.equal(DOMJunk().attach === originalAttach, true);
+		} finally {
+			cleanup('ptest-c');
+		}
+	});
+
+	DJTest.test('plugin: an install function that throws leaves nothing installed', (t) => {
+		t.throws(() => {
+			DOMJunk.plugin('ptest-d', {
+				statics: { ptestBroken: true },
+				install: function() {
+					throw new Error('install failed');
+				}
+			});
+		}, /install failed/);
+		t.equal(DOMJunk.plugins('ptest-d'), null);
+		t.equal(DOMJunk.ptestBroken, undefined);
+	});
+
+	DJTest.test('plugin: the companion libraries are installed', (t) => {
+		t.equal(DOMJunk.plugins('jaxxy').statics.sort(), ['ajax', 'ajaxJSON']);
+		t.equal(DOMJunk.plugins('jstate').selectionMethods, ['bindFormState']);
+	});
+
+})(DJTest);
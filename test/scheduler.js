@@ -0,0 +1,56 @@
+/****************************************************************************
+ * Tests: the read/write scheduler (measure, mutate, deferred)
+ ****************************************************************************/
+(function(DJTest){
+
+	DJTest.test('measure and mutate: reads run before writes, and writes queued by reads run in the same frame', (t) => {
+		const calls = [];
+		const write = DOMJunk.mutate(() => {
+			calls.push('write');
+			return 'written';
+		});
+		const read = DOMJunk.measure(() => {
+			calls.push('read');
+			DOMJunk.mutate(() => {
+				calls.push('write from read');
+			});
+			return 42;
+		});
+		t.equal(calls, []);
+		return Promise.all([read, write]).then((results) => {
+			t.equal(results, [42, 'written']);
+			t.equal(calls, ['read', 'write', 'write from read']);
+		});
+	});
+
+	DJTest.test('measure and mutate: a failing job rejects its own Promise only', (t) => {
+		const failed = DOMJunk.mutate(() => {
+			throw new Error('write failed');
+		});
+		const fine = DOMJunk.mutate(() => 'fine');
+		return t.rejects(failed, /write failed/).then(() => fine).then((result) => {
+			t.equal(result, 'fine');
+		});
+	});
+
+	DJTest.test('deferred: chained writes are applied together, in order, in the next mutate phase', (t) => {
+		const divs = t.fixture('<div></div><div></div>').search('div');
+		const deferred = divs.deferred()
+			.classAdd('a', 'b')
+			.attr({ 'data-x': '1' })
+			.style({ color: 'red' })
+			.classRemove('a')
+			.mutate((group) => {
+				group.text('done');
+			});
+		t.equal(divs[0].className, '');
+		return deferred.then((group) => {
+			t.assert(group === divs, 'resolves to the SelectionGroup');
+			t.equal(divs.map((div) => [div.className, div.getAttribute('data-x'), div.style.color, div.textContent]).slice(), [
+				['b', '1', 'red', 'done'],
+				['b', '1', 'red', 'done']
+			]);
+		});
+	});
+
+})(DJTest);
@@ -0,0 +1,152 @@
+/****************************************************************************
+ * Tests: templates
+ ****************************************************************************/
+(function(DJTest){
+
+	const render = (template, model) => DOMJunk.compileTemplate(template).html(model);
+
+	DJTest.test('template blocks: if, unless, and else', (t) => {
+		const template = "{{#if on}}yes{{else}}no{{/if}}/{{#unless on}}off{{/unless}}";
+		t.equal(render(template, { on: true }), 'yes/');
+		t.equal(render(template, { on: [] }), 'no/off');
+	});
+
+	DJTest.test('template blocks: each over arrays and objects, with @index, @key, @first, and @last', (t) => {
+		t.equal(render("{{#each items}}{{@index}}:{{this}}{{#unless @last}},{{/unless}}{{/each}}", { items: ['a', 'b'] }), '0:a,1:b');
+		t.equal(render("{{#each map}}{{@key}}={{.}}{{#if @first}};{{/if}}{{/each}}", { map: { x: 1, y: 2 } }), 'x=1;y=2');
+		t.equal(render("{{#each items}}x{{else}}empty{{/each}}", { items: [] }), 'empty');
+	});
+
+	DJTest.test('template blocks: sections, inverted sections, and enclosing contexts', (t) => {
+		const model = { title: 'T', user: { name: 'u' }, rows: [{ n: 1 }, { n: 2 }], none: [] };
+		t.equal(render("{{#user}}{{name}}@{{title}}{{/user}}", model), 'u@T');
+		t.equal(render("{{#rows}}{{n}}{{../title}}{{@root.user.name}}{{/rows}}", model), '1Tu2Tu');
+		t.equal(render("{{^none}}nothing{{/none}}{{! a comment }}", model), 'nothing');
+	});
+
+	DJTest.test('template blocks: values are escaped unless triple-stashed', (t) => {
+		const model = { html: '<b>x</b>' };
+		t.equal(render("{{html}}|{{{html}}}|{{& html}}", model), '&lt;b&gt;x&lt;&#x2F;b&gt;|<b>x</b>|<b>x</b>');
+	});
+
+	DJTest.test('template blocks: bad nesting fails to compile', (t) => {
+		t.throws(() => DOMJunk.compileTemplate("{{#if a}}x"), /unclosed block/);
+		t.throws(() => DOMJunk.compileTemplate("{{#if a}}x{{/each}}"), /unexpected closing tag/);
+		t.throws(() => DOMJunk.compileTemplate("x{{else}}y"), /outside of a block/);
+	});
+
+	DJTest.test('template partials: registered by name, optionally with a different context', (t) => {
+		DOMJunk.templatePartial('ttest-row', '<li>{{name}}</li>');
+		try {
+			t.equal(render("<ul>{{#each rows}}{{> ttest-row}}{{/each}}</ul>", { rows: [{ name: 'a' }, { name: 'b' }] }), '<ul><li>a</li><li>b</li></ul>');
+			t.equal(render("{{> ttest-row owner}}", { owner: { name: 'o' } }), '<li>o</li>');
+		} finally {
+			DOMJunk.templatePartial('ttest-row', null);
+		}
+	});
+
+	DJTest.test('refillTemplate: fills from a template element, storing each model on its element', (t) => {
+		const root = t.fixture('<template id="ttest-item"><li>{{#if done}}<s>{{name}}</s>{{else}}{{name}}{{/if}}</li></template><ul></ul>');
+		const model = [{ name: 'a', done: true }, { name: 'b' }];
+		const list = root.search('ul').refillTemplate(root.search('template'), model);
+		t.equal(list[0].innerHTML, '<li><s>a</s></li><li>b</li>');
+		t.equal(list.search('li').map((li) => DOMJunk(li).data('model')).slice(), model);
+	});
+
+	DJTest.test('template cache: compiled once per template element until cleared', (t) => {
+		const root = t.fixture('<template><i>{{n}}</i></template>');
+		const template = root.search('template');
+		t.equal(DOMJunk.createTemplateElements(template, { n: 1 })[0].outerHTML, '<i>1</i>');
+		template[0].innerHTML = '<b>{{n}}</b>';
+		t.equal(DOMJunk.createTemplateElements(template, { n: 2 })[0].outerHTML, '<i>2</i>');
+		DOMJunk.clearTemplateCache(template);
+		t.equal(DOMJunk.createTemplateElements(template, { n: 3 })[0].outerHTML, '<b>3</b>');
+	});
+
+	DJTest.test('template batches: adjacent text from different items is not merged', (t) => {
+		const nodes = DOMJunk.compileTemplate('{{.}}')(['a', 'b', 'c']);
+		t.equal(nodes.map((node) => node.nodeValue), ['a', 'b', 'c']);
+	});
+
+	DJTest.test('template batches: items with unclosed tags are parsed one at a time', (t) => {
+		const template = DOMJunk.compileTemplate('{{#if bad}}<li><b>{{name}}{{else}}<li>{{name}}</li>{{/if}}');
+		const model = [{ name: 'a', bad: true }, { name: 'b' }, { name: 'c', bad: true }, { name: 'd' }];
+		const items = template(model);
+		t.equal(items.map((item) => item.textContent), ['a', 'b', 'c', 'd']);
+		t.equal(items.map((item) => DOMJunk(item).data('model')), model);
+	});
+
+	DJTest.test('template cache: rendering a compiled template is faster than compiling it each time', (t) => {
+		const root = t.fixture('<template><tr><td>{{id}}</td><td>{{name | upper}}</td><td>{{#if on}}on{{else}}off{{/if}}</td>'
+			+ '<td>{{#each tags}}<i>{{.}}</i>{{/each}}</td></tr></template>');
+		const template = root.search('template');
+		const item = { id: 1, name: 'row', on: true, tags: ['a', 'b'] };
+		const compiled = DOMJunk.compileTemplate(template);
+		const once = DOMJunk.iterationTest(50, () => compiled.html(item));
+		const each = DOMJunk.iterationTest(50, () => DOMJunk.compileTemplate(template).html(item));
+		// Loose, so that a busy machine does not fail it.
+		t.assert(once > each * 2, 'compiled once: ' + once + ', compiled each time: ' + each);
+	});
+
+	DJTest.test('template batches: parsing all items at once versus one at a time (logged)', (t) => {
+		const template = DOMJunk.compileTemplate('<tr><td>{{id}}</td><td>{{name | upper}}</td></tr>');
+		const model = [];
+		for (let i = 0; i < 50; i++) {
+			model.push({ id: i, name: 'row' + i });
+		}
+		// How much faster this is depends on the DOM implementation, so it is only reported.
+		const batched = DOMJunk.iterationTest(100, () => template(model));
+		const single = DOMJunk.iterationTest(100, () => model.forEach((item) => template([item])));
+		console.log('template batches: ' + batched + ' batched vs. ' + single + ' one at a time, in 100ms');
+		t.equal(template(model).length, model.length);
+	});
+
+	DJTest.test('template filters: built-in filters, arguments, and chaining', (t) => {
+		t.equal(render("{{name | upper | truncate:5}}", { name: 'abcdefgh' }), 'AB...');
+		t.equal(render("{{missing | default:'none'}}", {}), 'none');
+		t.equal(render("{{n | number:2:'en-US'}}", { n: 3.14159 }), '3.14');
+		t.equal(render("{{tags | join:'; '}}", { tags: ['a', 'b'] }), 'a; b');
+		t.equal(render("{{d | date:'yyyy-MM-dd'}}", { d: new Date(2020, 0, 2) }), '2020-01-02');
+		t.equal(render("{{p | currency:'USD':'en-US'}}", { p: 12.5 }), '$12.50');
+	});
+
+	DJTest.test('template filters: an invalid currency code or locale leaves the value as is', (t) => {
+		t.equal(render("{{p | currency:'NOPE'}}", { p: 12.5 }), '12.5');
+		t.equal(render("{{p | number:2:'!!bad'}}", { p: 12.5 }), '12.5');
+	});
+
+	DJTest.test('template filters: paths are null-safe', (t) => {
+		t.equal(render("[{{a.b.c}}]", { a: null }), '[]');
+		t.equal(render("[{{a.b.c | upper}}]", {}), '[]');
+	});
+
+	DJTest.test('template filters: custom filters, and unknown filters warn and leave the value unchanged', (t) => {
+		DOMJunk.templateFilter('ttest-wrap', (value, left, right) => left + value + right);
+		try {
+			t.equal(render("{{name | ttest-wrap:'<':'>'}}", { name: 'x' }), '&lt;x&gt;');
+			let html;
+			const warnings = t.capture('warn', () => {
+				html = [
+					render("{{x | toString}}", { x: 'a' }),
+					render("{{x | constructor}}", { x: 'b' }),
+					render("{{x | nope | upper}}", { x: 'c' })
+				];
+			});
+			t.equal(html, ['a', 'b', 'C']);
+			t.equal(warnings.length, 3);
+			t.assert(/Unknown template filter: toString/.test(warnings[0]), warnings[0]);
+		} finally {
+			DOMJunk.templateFilter('ttest-wrap', null);
+		}
+	});
+
+	DJTest.test('template partials: unknown partials warn and render nothing', (t) => {
+		let html;
+		const warnings = t.capture('warn', () => {
+			html = render("[{{> toString}}][{{> ttest-missing}}]", {});
+		});
+		t.equal(html, '[][]');
+		t.equal(warnings.length, 2);
+	});
+
+})(DJTest);
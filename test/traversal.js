@@ -0,0 +1,93 @@
+/****************************************************************************
+ * Tests: traversal and filtering
+ ****************************************************************************/
+(function(DJTest){
+
+	const names = (group) => [ ...group].map((element) => element.className || element.nodeName);
+
+	const LIST = '<ul class="list"><li class="a">a</li><li class="b sel">b</li><li class="c">c</li><li class="d sel"><b>d</b></li></ul>';
+
+	DJTest.test('traversal: results from every element are combined without duplicates', (t) => {
+		const items = t.fixture(LIST).search('li');
+		t.equal(names(items.closest('ul')), ['list']);
+		t.equal(names(items.parent()), ['list']);
+		t.equal(names(items.search('b')), ['B']);
+	});
+
+	DJTest.test('next and prev: optionally filtered by a selector', (t) => {
+		const items = t.fixture(LIST).search('.sel');
+		t.equal(names(items.next()), ['c']);
+		t.equal(names(items.prev()), ['a', 'c']);
+		t.equal(names(items.prev('.a')), ['a']);
+	});
+
+	DJTest.test('filter, not, and is: take a selector, a function, or elements', (t) => {
+		const items = t.fixture(LIST).search('li');
+		t.equal(names(items.filter('.sel')), ['b sel', 'd sel']);
+		t.equal(names(items.filter((element, index) => index % 2 === 0)), ['a', 'c']);
+		t.equal(names(items.not(items.filter('.sel'))), ['a', 'c']);
+		t.equal(items.is('.c'), true);
+		t.equal(items.is(function() {
+			return this.nodeName === 'B';
+		}), false);
+	});
+
+	DJTest.test('filter: is still usable as Array.filter()', (t) => {
+		const items = t.fixture(LIST).search('li');
+		const context = { name: 'c' };
+		const found = items.filter(function(element) {
+			return element.className === this.name;
+		}, context);
+		t.equal(names(found), ['c']);
+	});
+
+	DJTest.test('has: takes a selector, an element, or a group of elements', (t) => {
+		const root = t.fixture('<div class="x"><p class="y"><b>1</b></p></div><div class="z"><i>2</i></div>');
+		const divs = root.search('div');
+		t.equal(names(divs.has('b')), ['x']);
+		t.equal(names(divs.has(root.search('i')[0])), ['z']);
+		t.equal(names(divs.has(root.search('b, i'))), ['x', 'z']);
+		t.equal(names(divs.has([ ...root.search('p')])), ['x']);
+		t.equal(names(divs.has(divs)), []);
+	});
+
+	DJTest.test('index: among siblings, among selector matches, or in the group', (t) => {
+		const items = t.fixture(LIST).search('li');
+		t.equal(items.filter('.c').index(), 2);
+		t.equal(items.filter('.d').index('.sel'), 1);
+		t.equal(items.index(items.filter('.b')), 1);
+		t.equal(items.index(document.body), -1);
+	});
+
+	DJTest.test('Array functions: return proper SelectionGroups, without duplicate nodes', (t) => {
+		const items = t.fixture(LIST).search('li');
+		const lengths = items.map((li) => li.textContent.length);
+		t.assert(lengths instanceof items.constructor, 'map() returns a SelectionGroup');
+		t.equal([ ...lengths], [1, 1, 1, 1]);
+		t.equal(names(items.map((li) => li.parentNode)), ['list']);
+		t.equal(names(items.slice(1, 3)), ['b sel', 'c']);
+		t.equal(names(items.concat(items[0], items.slice(3))), ['a', 'b sel', 'c', 'd sel']);
+		t.equal(items.flatMap((li) => [li, li.parentNode]).length, 5);
+		t.equal(items.slice().splice(0, 2).length, 2);
+		t.equal(items.filter(() => true).length, 4);
+	});
+
+	DJTest.test('set operations: union, intersect, difference, and add', (t) => {
+		const root = t.fixture(LIST);
+		const items = root.search('li');
+		const selected = root.search('.sel');
+		t.equal(names(selected.union(items)), ['b sel', 'd sel', 'a', 'c']);
+		t.equal(names(items.intersect(selected)), ['b sel', 'd sel']);
+		t.equal(names(items.difference(selected)), ['a', 'c']);
+		t.equal(names(items.difference('.sel, .a')), ['c']);
+		t.equal(names(selected.add('#fixture li', true)), ['b sel', 'd sel', 'a']);
+		t.equal(names(selected.add(items[2])), ['b sel', 'd sel', 'c']);
+	});
+
+	DJTest.test('sortByDocumentOrder: sorts without duplicates', (t) => {
+		const root = t.fixture(LIST);
+		const group = DOMJunk([root.search('.d')[0], root.search('ul')[0], root.search('.a')[0], root.search('.d')[0]]);
+		t.equal(names(group.sortByDocumentOrder()), ['list', 'a', 'd sel']);
+	});
+
+})(DJTest);
@@ -0,0 +1,124 @@
+/****************************************************************************
+ * Tests: virtual lists (refillVirtual, scrollToIndex)
+ * The scroll container's size is stubbed, so that the results do not depend on the page.
+ ****************************************************************************/
+(function(DJTest){
+
+	const afterFrame = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+	// Makes a list element that scrolls, showing 100 pixels of its content.
+	const createScroller = (t, tag) => {
+		const list = t.fixture('<' + tag + ' style="overflow: auto; height: 100px"></' + tag + '>').search(tag);
+		let top = 0;
+		Object.defineProperties(list[0], {
+			clientHeight: { value: 100 },
+			scrollHeight: { value: 100000 },
+			scrollTop: { 
+				get: () => top, 
+				set: (value) => {
+					top = value;
+				} 
+			}
+		});
+		return list;
+	};
+
+	const items = (count) => Array.from({ length: count }, (v, i) => ({ id: i, name: 'item ' + i }));
+
+	const rowElement = (item) => DOMJunk.e('li', null, [DOMJunk.t(item.name)]);
+
+	const renderedNames = (list) => [ ...list.search('li:not(.domjunk-virtual-spacer)')].map((li) => li.textContent);
+
+	DJTest.test('refillVirtual: renders only the rows in view, plus overscan, between spacers', (t) => {
+		const list = createScroller(t, 'ul');
+		const arr = items(1000);
+		list.refillVirtual(arr, rowElement, { rowHeight: 20, overscan: 2 });
+		const spacers = list.search('.domjunk-virtual-spacer');
+		t.equal(renderedNames(list), ['item 0', 'item 1', 'item 2', 'item 3', 'item 4', 'item 5', 'item 6', 'item 7']);
+		t.equal([spacers[0].style.height, spacers[1].style.height], ['0px', (992 * 20) + 'px']);
+		t.equal(spacers[0].nodeName, 'LI');
+		t.assert(list.search('li').get(1).data('model') === arr[0], 'models are stored');
+	});
+
+	DJTest.test('refillVirtual: renders the new rows in view on scroll, reusing rows via update', (t) => {
+		const list = createScroller(t, 'ul');
+		let generated = 0;
+		list.refillVirtual(items(1000), (item) => {
+			generated++;
+			return rowElement(item);
+		}, { 
+			rowHeight: 20, 
+			overscan: 2, 
+			update: (li, item) => {
+				li.textContent = item.name;
+			}
+		});
+		list[0].scrollTop = 400;
+		list.trigger('scroll');
+		return afterFrame().then(() => {
+			t.equal(renderedNames(list)[0], 'item 18');
+			t.equal(renderedNames(list).length, 10);
+			t.equal(generated, 10);
+			t.equal(list.search('.domjunk-virtual-spacer')[0].style.height, '360px');
+		});
+	});
+
+	DJTest.test('refillVirtual: rows are measured after render when their heights vary', (t) => {
+		const list = createScroller(t, 'div');
+		list.refillVirtual(items(100), (item) => {
+			const row = DOMJunk.e('div', null, [DOMJunk.t(item.name)]);
+			Object.defineProperty(row, 'offsetHeight', { value: 40 });
+			return row;
+		}, { estimateHeight: 20, overscan: 0 });
+		t.equal(list.search('div:not(.domjunk-virtual-spacer)').length, 6);
+		return afterFrame().then(() => {
+			t.equal(list.search('div:not(.domjunk-virtual-spacer)').length, 3);
+			t.equal(list.search('.domjunk-virtual-spacer')[1].style.height, (6 * 40 + 94 * 20 - 3 * 40) + 'px');
+		});
+	});
+
+	DJTest.test('refillVirtual: keyed rows are kept and updated when the array changes, and keys must be unique', (t) => {
+		const list = createScroller(t, 'ul');
+		const updated = [];
+		const options = { 
+			rowHeight: 20, 
+			key: 'id', 
+			update: (li, item) => {
+				updated.push(item.name);
+				li.textContent = item.name;
+			}
+		};
+		list.refillVirtual([{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }], rowElement, options);
+		const first = list.search('li').get(1)[0];
+		list.refillVirtual([{ id: 'c', name: 'C' }, { id: 'a', name: 'A2' }], rowElement, options);
+		t.equal(renderedNames(list), ['C', 'A2']);
+		t.equal(list.search('li').get(2)[0], first);
+		t.equal(updated, ['A2', 'C'], 'the row that left is reused');
+		t.throws(() => list.refillVirtual([{ id: 'x', name: '1' }, { id: 'x', name: '2' }], rowElement, options), /Duplicate key/);
+	});
+
+	DJTest.test('scrollToIndex: scrolls the row into view, or rejects for other elements', (t) => {
+		const list = createScroller(t, 'ul');
+		list.refillVirtual(items(1000), rowElement, { rowHeight: 20, overscan: 0 });
+		return list.scrollToIndex(500).then(() => {
+			t.equal(list[0].scrollTop, 500 * 20);
+			t.equal(renderedNames(list)[0], 'item 500');
+			return list.scrollToIndex(510, { align: 'end' });
+		}).then(() => {
+			t.equal(list[0].scrollTop, 511 * 20 - 100);
+			return t.rejects(DOMJunk('#fixture').scrollToIndex(0), /not filled via refillVirtual/);
+		});
+	});
+
+	DJTest.test('refillVirtual: the list stops once its children are cleared, and can start over', (t) => {
+		const list = createScroller(t, 'ul');
+		list.refillVirtual(items(10), rowElement, { rowHeight: 20 });
+		list.clear();
+		list.trigger('scroll');
+		return t.rejects(list.scrollToIndex(0), /not filled via refillVirtual/).then(() => {
+			list.refillVirtual(items(3), rowElement, { rowHeight: 20 });
+			t.equal(renderedNames(list), ['item 0', 'item 1', 'item 2']);
+		});
+	});
+
+})(DJTest);